@@ -0,0 +1,53 @@
+// cancellation of lookups
+// callers may pass any AbortSignal (or an object with `aborted` and add/removeEventListener),
+// the requests of a lookup use the signal of an abort source, since node 12 has no AbortController
+
+const EventEmitter = require('events')
+
+exports.createAbortSource = createAbortSource
+exports.onAbort = onAbort
+exports.sleep = sleep
+
+function createAbortSource () {
+  var emitter = new EventEmitter()
+  var signal = {
+    aborted: false,
+    addEventListener: function (type, fn) { emitter.on(type, fn) },
+    removeEventListener: function (type, fn) { emitter.removeListener(type, fn) }
+  }
+  return {
+    signal,
+    abort: function () {
+      if (signal.aborted) return
+      signal.aborted = true
+      emitter.emit('abort')
+    }
+  }
+}
+
+// call fn once the signal aborts (right away if it has), returns a function that stops listening
+function onAbort (signal, fn) {
+  if (!signal) return function () {}
+  if (signal.aborted) {
+    fn()
+    return function () {}
+  }
+  signal.addEventListener('abort', fn)
+  return function () { signal.removeEventListener('abort', fn) }
+}
+
+// resolves after ms, or rejects with abortError() when the signal aborts
+function sleep (ms, signal, abortError) {
+  return new Promise(function (resolve, reject) {
+    var timer
+    var stop = onAbort(signal, function () {
+      clearTimeout(timer)
+      reject(abortError())
+    })
+    if (signal && signal.aborted) return
+    timer = setTimeout(function () {
+      stop()
+      resolve()
+    }, ms)
+  })
+}
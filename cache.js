@@ -1,143 +1,192 @@
-// taken from https://github.com/tiborv/memory-cache-ttl
+// a bounded LRU cache with per-entry TTLs
+// entries are kept in a Map in least-recently-used order, and their expiry times in a
+// min-heap, so set() and the expiry of entries cost O(log n) and get() costs O(1)
 
-'use strict';
+const DEFAULT_MAX_ENTRIES = 10000
 
 module.exports = function () {
-
-  var options = {};
-  var cache = {};
-  var ttlQueue = [];
-  var ttlExtend = new Set();
-
-  var genExpire = function genExpire(seconds) {
-    var t = new Date();
-    t.setSeconds(t.getSeconds() + seconds);
-    return t;
-  };
-
-  var binarySearch = function binarySearch(value) {
-    var low = 0;
-    var high = ttlQueue.length;
-
-    while (low < high) {
-      var mid = low + high >>> 1; // eslint-disable-line no-bitwise
-      if (ttlQueue[mid].expires.getTime() < value) low = mid + 1;else high = mid;
+  var options = {}
+  var entries = new Map() // id -> {value, expires}
+  var heap = [] // {id, expires}, may hold outdated items which are skipped
+  var counters = { hits: 0, misses: 0, negativeHits: 0, evictions: 0 }
+  var runningProcess
+
+  var push = function (item) {
+    heap.push(item)
+    var i = heap.length - 1
+    while (i > 0) {
+      var parent = (i - 1) >> 1
+      if (heap[parent].expires <= heap[i].expires) break
+      swap(i, parent)
+      i = parent
+    }
+  }
+
+  var pop = function () {
+    var top = heap[0]
+    var last = heap.pop()
+    if (heap.length > 0) {
+      heap[0] = last
+      var i = 0
+      while (true) {
+        var left = 2 * i + 1
+        var right = left + 1
+        var smallest = i
+        if (left < heap.length && heap[left].expires < heap[smallest].expires) smallest = left
+        if (right < heap.length && heap[right].expires < heap[smallest].expires) smallest = right
+        if (smallest === i) break
+        swap(i, smallest)
+        i = smallest
+      }
+    }
+    return top
+  }
+
+  var swap = function (a, b) {
+    var tmp = heap[a]
+    heap[a] = heap[b]
+    heap[b] = tmp
+  }
+
+  // drop the heap items of entries that were set again or deleted
+  var rebuildHeap = function () {
+    heap = []
+    entries.forEach(function (entry, id) {
+      push({ id, expires: entry.expires })
+    })
+  }
+
+  // entries are kept for `grace` seconds after they expire
+  var isGone = function (entry, now) {
+    return entry.expires + (options.grace || 0) * 1000 <= now
+  }
+
+  var cleanExpired = function () {
+    var now = Date.now()
+    while (heap.length > 0 && heap[0].expires + (options.grace || 0) * 1000 <= now) {
+      var item = pop()
+      var entry = entries.get(item.id)
+      if (entry && entry.expires === item.expires) remove(item.id)
+    }
+  }
+
+  // drop an entry that expired, was evicted or deleted
+  var remove = function (id) {
+    entries.delete(id)
+    if (options.onRemove) options.onRemove(id)
+  }
+
+  var set = function (id, value, ttl) {
+    if (!ttl && !options.ttl) throw new Error('Global or local TTL needs to be set')
+    var expires = Date.now() + (ttl || options.ttl) * 1000
+    entries.delete(id) // move to the most recently used end
+    entries.set(id, { value, expires })
+    push({ id, expires })
+    while (entries.size > (options.maxEntries || DEFAULT_MAX_ENTRIES)) {
+      remove(entries.keys().next().value)
+      counters.evictions++
     }
-    return low;
-  };
-
-  var addToTTLQueue = function addToTTLQueue(ttl) {
-    ttlQueue = ttlQueue.filter(function (e) {
-      return e.id !== ttl.id;
-    });
-    ttlQueue.splice(binarySearch(ttl.expires.getTime()), 0, ttl);
-  };
-
-  var cleanExpired = function cleanExpired() {
-    if (ttlQueue.length === 0) return;
-    var now = new Date().getTime();
-    if (ttlQueue[0].expires.getTime() > now) return;
-    var expiredIndex = binarySearch(now);
-    ttlQueue.slice(0, expiredIndex).map(function (ttl) {
-      return delete cache[ttl.id];
-    });
-    ttlQueue = ttlQueue.slice(expiredIndex, ttlQueue.length);
-  };
-
-  var set = function set(id, value, ttl) {
-    if (!ttl && !options.ttl) throw new Error('Global or local TTL needs to be set');
-    cache[id] = value;
-    if (ttl) return addToTTLQueue({ id: id, expires: genExpire(ttl) });
-    addToTTLQueue({
-      id: id,
-      expires: options.randomize ? genExpire(Math.ceil(Math.random() * options.ttl)) : genExpire(options.ttl)
-    });
-  };
-
-  var check = function check(id) {
-    return id in cache;
-  };
-
-  var get = function get(id) {
-    if (options.extendOnHit) ttlExtend.add(id);
-    return cache[id];
-  };
-
-  var del = function del(id) {
-    delete cache[id];
-    ttlQueue = ttlQueue.filter(function (t) {
-      return t.id !== id;
-    });
-  };
-
-  var list = function list() {
-    return cache;
-  };
-
-  var flush = function flush() {
-    cache = {};
-    ttlQueue = [];
-  };
-
-  var onInterval = function onInterval() {
-    if (ttlQueue.length === 0) return;
-    ttlQueue.forEach(function (ttl) {
-      options.onInterval(ttl.id).then(function () {
-        var newValue = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : cache[ttl.id];
-
-        cache[ttl.id] = newValue;
-      });
-    });
-  };
-
-  var extendOnHit = function extendOnHit() {
-    if (ttlExtend.size === 0) return;
-    ttlExtend.forEach(function (id) {
-      return set(id, cache[id]);
-    });
-    ttlExtend = new Set();
-  };
-
-  var runningProcess = void 0;
-  var runTasks = function runTasks() {
-    if (runningProcess) clearInterval(runningProcess);
+    if (heap.length > 2 * entries.size + 64) rebuildHeap()
+  }
+
+  // expired entries are returned during the grace period, except negative (false) entries
+  var get = function (id) {
+    var entry = entries.get(id)
+    if (entry && (isGone(entry, Date.now()) || (entry.value === false && entry.expires <= Date.now()))) {
+      remove(id)
+      entry = undefined
+    }
+    if (!entry) {
+      counters.misses++
+      return undefined
+    }
+    if (entry.value === false) counters.negativeHits++
+    else counters.hits++
+    entries.delete(id)
+    entries.set(id, entry)
+    return entry.value
+  }
+
+  // read an entry without counting it or marking it as used
+  var peek = function (id) {
+    return entries.get(id)
+  }
+
+  var getExpires = function (id) {
+    var entry = entries.get(id)
+    return entry ? entry.expires : undefined
+  }
+
+  var del = function (id) {
+    if (entries.has(id)) remove(id)
+  }
+
+  // the entries that are not gone, as an array of {id, value, expires}
+  var list = function () {
+    var now = Date.now()
+    var arr = []
+    entries.forEach(function (entry, id) {
+      if (!isGone(entry, now)) arr.push({ id, value: entry.value, expires: entry.expires })
+    })
+    return arr
+  }
+
+  var flush = function () {
+    entries.clear()
+    heap = []
+  }
+
+  var stats = function () {
+    return {
+      entries: entries.size,
+      maxEntries: options.maxEntries || DEFAULT_MAX_ENTRIES,
+      hits: counters.hits,
+      misses: counters.misses,
+      negativeHits: counters.negativeHits,
+      evictions: counters.evictions
+    }
+  }
+
+  var onInterval = function () {
+    entries.forEach(function (entry, id) {
+      options.onInterval(id).then(function (newValue) {
+        var current = entries.get(id)
+        if (newValue !== undefined && current) current.value = newValue
+      })
+    })
+  }
+
+  var runTasks = function () {
+    if (runningProcess) clearInterval(runningProcess)
     runningProcess = setInterval(function () {
-      if (options.extendOnHit) extendOnHit();
-      cleanExpired();
-      if (options.onInterval) onInterval();
-    }, options.interval * 1000);
+      cleanExpired()
+      if (options.onInterval) onInterval()
+    }, options.interval * 1000)
     if (typeof runningProcess.unref === 'function') {
       runningProcess.unref()
     }
-  };
+  }
 
-  var init = function init() {
-    var o = arguments.length > 0 && arguments[0] !== undefined ? arguments[0] : { interval: 1 };
-
-    options = o;
-    if (o.onInterval && typeof o.onInterval !== 'function') {
-      throw new Error('onInterval needs to be a Promise/function');
+  var init = function (o) {
+    options = o || { interval: 1 }
+    if (options.onInterval && typeof options.onInterval !== 'function') {
+      throw new Error('onInterval needs to be a Promise/function')
+    }
+    if (options.maxEntries !== undefined && !(options.maxEntries > 0)) {
+      throw new Error('maxEntries must be a positive number')
     }
-    runTasks();
-  };
+    runTasks()
+  }
 
   return {
-    init: init,
-    set: set,
-    get: get,
-    check: check,
-    del: del,
-    list: list,
-    flush: flush,
-    __ttlQueue: function __ttlQueue() {
-      return ttlQueue;
-    },
-    stats: function stats() {
-      return {
-        cacheEntries: Object.keys(cache).length,
-        ttlQueueEntries: ttlQueue.length,
-        ttlExtendEntries: ttlExtend.size
-      };
-    }
-  };
-}
\ No newline at end of file
+    init,
+    set,
+    get,
+    peek,
+    getExpires,
+    del,
+    list,
+    flush,
+    stats
+  }
+}
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+// command-line tool to resolve names, diagnose failed lookups and manage a persistent cache file
+// every command prints JSON with --json
+
+const createDatDNS = require('./index')
+const { parseName } = require('./names')
+
+const BOOLEAN_FLAGS = ['json', 'help']
+const REPEATED_FLAGS = ['method', 'provider']
+const DIAGNOSE_MAX_BODY = 2000 // characters of each raw response shown without --json
+
+const USAGE = `Usage: dat-dns <command> [options]
+
+Commands:
+  resolve <name>            resolve a name to a key, with the method and TTL
+  diagnose <name>           run each DNS-over-HTTPS provider, .well-known and the system DNS separately,
+                            with their raw responses and errors
+  cache list                list the entries of the cache file
+  cache get <name>          read the entry of a name from the cache file
+  cache set <name> <key>    write an entry to the cache file
+  cache compact             compact the cache file
+
+Options:
+  --json                    print JSON
+  --protocol <name>         the protocol of the key (default: dat)
+  --method <method>         a resolution method to use, may be repeated (resolve)
+  --provider <host[:port][/path]>
+                            a DNS-over-HTTPS provider, may be repeated (resolve, diagnose)
+  --timeout <ms>            timeout of each request
+  --cache-file <path>       the persistent cache file (required by cache, used by resolve)
+  --ttl <seconds>           the TTL of an entry (cache set, default: 3600)
+`
+
+module.exports = run
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then(function (code) {
+    process.exitCode = code
+  })
+}
+
+// run the command of argv, resolves to the exit code: 0 on success, 1 if it failed, 2 on usage errors
+function run (argv, out) {
+  out = out || { stdout: process.stdout, stderr: process.stderr }
+  var args
+  return Promise.resolve().then(function () {
+    args = parseArgs(argv)
+    if (args.flags.help) {
+      out.stdout.write(USAGE)
+      return 0
+    }
+    switch (args._[0]) {
+      case 'resolve': return resolveCommand(args, out)
+      case 'diagnose': return diagnoseCommand(args, out)
+      case 'cache': return cacheCommand(args, out)
+      default: throw usageError(args._[0] ? 'Unknown command: ' + args._[0] : 'Missing command')
+    }
+  }).catch(function (err) {
+    if (args && args.flags.json) {
+      out.stdout.write(JSON.stringify({ error: { code: err.code || null, message: err.message } }, null, 2) + '\n')
+    } else {
+      out.stderr.write('Error: ' + (err.code && !err.usage ? err.code + ' ' : '') + err.message + '\n')
+      if (err.usage) out.stderr.write('\n' + USAGE)
+    }
+    return err.usage ? 2 : 1
+  })
+}
+
+function resolveCommand (args, out) {
+  var name = requireArg(args, 1, 'name')
+  var datDns = createDatDNS(getResolverOpts(args))
+  return datDns.resolve(name, { protocol: args.flags.protocol }).then(function (record) {
+    print(args, out, record, [
+      record.key,
+      'method: ' + record.method,
+      'ttl: ' + (record.ttl === null ? 'unknown' : record.ttl) + (record.stale ? ' (stale)' : '')
+    ])
+    return 0
+  })
+}
+
+// every check resolves with one method (and one provider) without the cache or retries,
+// and records the raw responses of its requests
+function diagnoseCommand (args, out) {
+  var name = requireArg(args, 1, 'name')
+  var providers = args.flags.provider ? args.flags.provider.map(parseProvider) : createDatDNS.DEFAULT_DNS_PROVIDERS
+  var checks = providers.map(function (provider) {
+    return { method: 'dns-over-https', provider: provider[0], dnsProviders: [provider] }
+  }).concat([
+    { method: 'well-known', provider: null },
+    { method: 'system-dns', provider: null }
+  ])
+  return Promise.all(checks.map(function (check) {
+    var responses = []
+    var transport = createRecordingTransport(createDatDNS.createHttpsTransport(), responses)
+    var datDns = createDatDNS(Object.assign(getResolverOpts(args), {
+      methods: [check.method],
+      dnsProviders: check.dnsProviders,
+      persistentCache: null,
+      retries: 0,
+      transport
+    }))
+    return datDns.resolve(name, { protocol: args.flags.protocol, ignoreCache: true }).then(function (record) {
+      return { method: check.method, provider: check.provider, ok: true, key: record.key, ttl: record.ttl, error: null, responses }
+    }, function (err) {
+      return {
+        method: check.method,
+        provider: check.provider,
+        ok: false,
+        key: null,
+        ttl: null,
+        error: { code: err.code || null, message: err.message },
+        responses
+      }
+    })
+  })).then(function (results) {
+    var lines = []
+    results.forEach(function (result) {
+      lines.push(result.method + (result.provider ? ' ' + result.provider : '') + ': ' + (result.ok
+        ? 'ok ' + result.key + ' ttl: ' + (result.ttl === null ? 'unknown' : result.ttl)
+        : 'failed ' + (result.error.code ? result.error.code + ' ' : '') + result.error.message))
+      result.responses.forEach(function (res) {
+        lines.push('  GET ' + res.url + ' -> ' + (res.error ? 'error ' + res.error : res.statusCode))
+        if (res.body) lines.push('    ' + truncate(res.body).split('\n').join('\n    '))
+      })
+    })
+    print(args, out, { name, results }, lines)
+    return results.some(function (result) { return result.ok }) ? 0 : 1
+  })
+}
+
+function cacheCommand (args, out) {
+  var file = args.flags['cache-file']
+  if (!file) throw usageError('cache commands need --cache-file')
+  var cache = createDatDNS.createFileCache(file)
+  var protocol = args.flags.protocol || 'dat'
+  var entryLine = function (entry) {
+    return entry.protocol + ' ' + entry.name + ' ' + entry.key + ' ttl: ' + entry.ttl + (entry.stale ? ' (stale)' : '')
+  }
+  switch (args._[1]) {
+    case 'list':
+      return cache.list().then(function (entries) {
+        print(args, out, entries, entries.map(entryLine))
+        return 0
+      })
+    case 'get': {
+      let name = parseName(requireArg(args, 2, 'name')).name
+      return cache.read(name, null, protocol).then(function (entry) {
+        entry = Object.assign({ protocol, name }, entry)
+        print(args, out, entry, [entryLine(entry)])
+        return 0
+      })
+    }
+    case 'set': {
+      let name = parseName(requireArg(args, 2, 'name')).name
+      let key = requireArg(args, 3, 'key')
+      let ttl = args.flags.ttl !== undefined ? Number(args.flags.ttl) : 3600
+      if (!/^[0-9a-f]{64}$/i.test(key)) throw usageError('Invalid key: ' + key)
+      if (!Number.isSafeInteger(ttl) || ttl < 0) throw usageError('--ttl must be a number of seconds')
+      return cache.write(name, key.toLowerCase(), ttl, protocol).then(function () {
+        var entry = { protocol, name, key: key.toLowerCase(), ttl }
+        print(args, out, entry, [entryLine(entry)])
+        return 0
+      })
+    }
+    case 'compact':
+      return cache.compact().then(function () {
+        print(args, out, { compacted: file }, ['Compacted ' + file])
+        return 0
+      })
+    default:
+      throw usageError(args._[1] ? 'Unknown cache command: ' + args._[1] : 'Missing cache command')
+  }
+}
+
+// the options of createDatDNS() given on the command line
+function getResolverOpts (args) {
+  var opts = {}
+  if (args.flags.method) opts.methods = args.flags.method
+  if (args.flags.provider) opts.dnsProviders = args.flags.provider.map(parseProvider)
+  if (args.flags.protocol) opts.protocols = { [args.flags.protocol]: {} }
+  if (args.flags.timeout !== undefined) {
+    opts.timeout = Number(args.flags.timeout)
+    if (!(opts.timeout > 0)) throw usageError('--timeout must be a number of milliseconds, more than 0')
+  }
+  if (args.flags['cache-file']) opts.persistentCache = createDatDNS.createFileCache(args.flags['cache-file'])
+  return opts
+}
+
+// a transport that keeps the raw response of each request
+function createRecordingTransport (transport, responses) {
+  return function (request) {
+    var port = request.port && request.port !== 443 ? ':' + request.port : ''
+    var response = { url: 'https://' + request.host + port + request.path, statusCode: null, headers: null, body: null, error: null }
+    responses.push(response)
+    return transport(request).then(function (res) {
+      response.statusCode = res.statusCode
+      response.headers = res.headers
+      response.body = Buffer.isBuffer(res.body) ? res.body.toString('base64') : res.body
+      return res
+    }, function (err) {
+      response.error = err.code || err.message
+      throw err
+    })
+  }
+}
+
+// host[:port][/path], the path defaults to /dns-query
+function parseProvider (value) {
+  var match = /^([^:/]+)(?::(\d+))?(\/.*)?$/.exec(value)
+  if (!match) throw usageError('Invalid provider: ' + value)
+  return [match[1], match[2] ? Number(match[2]) : 443, match[3] || '/dns-query']
+}
+
+function parseArgs (argv) {
+  var args = { _: [], flags: {} }
+  for (var i = 0; i < argv.length; i++) {
+    let arg = argv[i]
+    if (arg.slice(0, 2) !== '--') {
+      args._.push(arg)
+      continue
+    }
+    let eq = arg.indexOf('=')
+    let name = eq === -1 ? arg.slice(2) : arg.slice(2, eq)
+    if (BOOLEAN_FLAGS.indexOf(name) !== -1) {
+      args.flags[name] = true
+      continue
+    }
+    let value = eq === -1 ? argv[++i] : arg.slice(eq + 1)
+    if (value === undefined) throw usageError('Missing value of --' + name)
+    if (REPEATED_FLAGS.indexOf(name) !== -1) args.flags[name] = (args.flags[name] || []).concat(value)
+    else args.flags[name] = value
+  }
+  return args
+}
+
+function requireArg (args, i, name) {
+  if (!args._[i]) throw usageError('Missing ' + name)
+  return args._[i]
+}
+
+function print (args, out, value, lines) {
+  out.stdout.write(args.flags.json ? JSON.stringify(value, null, 2) + '\n' : lines.map(function (line) { return line + '\n' }).join(''))
+}
+
+function truncate (text) {
+  return text.length > DIAGNOSE_MAX_BODY ? text.slice(0, DIAGNOSE_MAX_BODY) + '...' : text
+}
+
+function usageError (message) {
+  var err = new Error(message)
+  err.usage = true
+  return err
+}
@@ -0,0 +1,93 @@
+// typed lookup errors
+// only ENOTFOUND is a negative answer (the name has no record), which may be cached for err.negativeTtl seconds;
+// the other errors are failures to get an answer, and are not cached
+
+const DEFAULT_NEGATIVE_TTL = 60
+const MAX_NEGATIVE_TTL = 3600 // 1hr
+
+const ENOTFOUND = 'ENOTFOUND' // NXDOMAIN, no matching TXT record, or no .well-known record
+const ETIMEOUT = 'ETIMEOUT' // the server did not answer in time
+const ENETWORK = 'ENETWORK' // the connection failed (refused, reset, TLS errors...)
+const ESERVFAIL = 'ESERVFAIL' // the DNS server failed or refused to answer
+const EHTTP = 'EHTTP' // an unexpected HTTP status, see err.statusCode
+const EINVALID = 'EINVALID' // the response or the name is malformed, or the protocol is unknown
+
+exports.DEFAULT_NEGATIVE_TTL = DEFAULT_NEGATIVE_TTL
+exports.MAX_NEGATIVE_TTL = MAX_NEGATIVE_TTL
+exports.ENOTFOUND = ENOTFOUND
+exports.ETIMEOUT = ETIMEOUT
+exports.ENETWORK = ENETWORK
+exports.ESERVFAIL = ESERVFAIL
+exports.EHTTP = EHTTP
+exports.EINVALID = EINVALID
+exports.createError = createError
+exports.notFound = notFound
+exports.fromNetworkError = fromNetworkError
+exports.fromDnsError = fromDnsError
+exports.isNegative = isNegative
+exports.abortError = abortError
+exports.isAbort = isAbort
+
+// an error with a code and any other properties
+function createError (code, message, props) {
+  var err = new Error(message)
+  err.code = code
+  return Object.assign(err, props)
+}
+
+// a negative answer, cacheable for negativeTtl seconds
+function notFound (message, negativeTtl) {
+  return createError(ENOTFOUND, message || 'DNS record not found', {
+    negativeTtl: clampNegativeTTL(negativeTtl)
+  })
+}
+
+// type the error of an HTTPS request
+function fromNetworkError (err, message) {
+  if (isAbort(err) || (err && [ETIMEOUT, ENETWORK, EINVALID].indexOf(err.code) !== -1)) return err
+  if (err && (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT')) {
+    return createError(ETIMEOUT, message || 'Request timed out', { cause: err })
+  }
+  return createError(ENETWORK, message || 'Request failed: ' + (err && (err.code || err.message)), { cause: err })
+}
+
+// type the error of a lookup with node's dns module
+function fromDnsError (err, message) {
+  if (isAbort(err)) return err
+  switch (err && err.code) {
+    case 'ENOTFOUND':
+    case 'ENODATA':
+      return notFound(message)
+    case 'ETIMEOUT':
+      return createError(ETIMEOUT, message || 'DNS query timed out', { cause: err })
+    case 'ESERVFAIL':
+    case 'EREFUSED':
+      return createError(ESERVFAIL, message || 'DNS server failed: ' + err.code, { cause: err })
+    case 'EFORMERR':
+    case 'EBADRESP':
+    case 'EBADNAME':
+      return createError(EINVALID, message || 'Invalid DNS query or response: ' + err.code, { cause: err })
+    default:
+      return createError(ENETWORK, message || 'DNS query failed: ' + (err && (err.code || err.message)), { cause: err })
+  }
+}
+
+// the error of an aborted lookup, like node's own abort errors
+function abortError () {
+  var err = createError('ABORT_ERR', 'The lookup was aborted')
+  err.name = 'AbortError'
+  return err
+}
+
+function isAbort (err) {
+  return !!err && err.name === 'AbortError'
+}
+
+function isNegative (err) {
+  return !!err && err.code === ENOTFOUND && typeof err.negativeTtl === 'number'
+}
+
+function clampNegativeTTL (ttl) {
+  if (!Number.isSafeInteger(ttl) || ttl < 0) return DEFAULT_NEGATIVE_TTL
+  return Math.min(ttl, MAX_NEGATIVE_TTL)
+}
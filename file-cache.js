@@ -0,0 +1,262 @@
+const fs = require('fs')
+const debug = require('debug')('dat')
+
+const DEFAULT_PROTOCOL = 'dat'
+const DEFAULT_COMPACT_THRESHOLD = 1000 // lines
+const LOCK_RETRY_MS = 20
+const LOCK_TIMEOUT_MS = 5000
+const STALE_LOCK_MS = 10000 // locks older than this were left behind by a crashed process
+
+module.exports = createFileCache
+
+// a persistent cache that appends its entries to a log file of JSON lines
+// every change is made under a lock file, so several processes can share the file
+function createFileCache (file, opts) {
+  if (!file || typeof file !== 'string') { throw new Error('file must be a path') }
+  opts = opts || {}
+  var maxStaleness = typeof opts.maxStaleness === 'number' ? opts.maxStaleness : Infinity // seconds
+  var compactThreshold = opts.compactThreshold || DEFAULT_COMPACT_THRESHOLD
+  var lockFile = file + '.lock'
+
+  var entries = new Map() // protocol:name -> {protocol, name, key, ttl, time}
+  var pins = new Map() // protocol:name -> {protocol, name, key, time}
+  var lines = 0
+  var loaded = null // size and mtime of the file when it was last read
+  var queue = Promise.resolve() // changes of this process are made one at a time
+
+  // read the file again if another process (or a compaction) changed it
+  function load () {
+    return stat(file).then(function (st) {
+      if (!st) {
+        entries.clear()
+        pins.clear()
+        lines = 0
+        loaded = null
+        return
+      }
+      if (loaded && loaded.size === st.size && loaded.mtimeMs === st.mtimeMs) return
+      return readFile(file).then(function (text) {
+        entries.clear()
+        pins.clear()
+        lines = 0
+        text.split('\n').forEach(function (line) {
+          if (!line) return
+          var record
+          try {
+            record = JSON.parse(line)
+          } catch (e) {
+            return // a partial line, left by a crash
+          }
+          lines++
+          if (!record || typeof record.name !== 'string' || typeof record.key !== 'string') return
+          var id = record.protocol + ':' + record.name
+          if (record.type === 'pin') pins.set(id, record)
+          else entries.set(id, record)
+        })
+        loaded = { size: st.size, mtimeMs: st.mtimeMs }
+      })
+    })
+  }
+
+  // run fn while holding the lock file
+  function withLock (fn) {
+    var run = function () {
+      return lock().then(function () {
+        return Promise.resolve().then(fn).then(function (res) {
+          return unlock().then(function () { return res })
+        }, function (err) {
+          return unlock().then(function () { throw err })
+        })
+      })
+    }
+    var p = queue.then(run, run)
+    queue = p.catch(function () {})
+    return p
+  }
+
+  function lock () {
+    var start = Date.now()
+    return new Promise(function (resolve, reject) {
+      var attempt = function () {
+        fs.open(lockFile, 'wx', function (err, fd) {
+          if (!err) return fs.close(fd, function () { resolve() })
+          if (err.code !== 'EEXIST') return reject(err)
+          fs.stat(lockFile, function (statErr, st) {
+            if (!statErr && Date.now() - st.mtimeMs > STALE_LOCK_MS) {
+              debug('Removing stale lock file', lockFile)
+              return fs.unlink(lockFile, function () { attempt() })
+            }
+            if (Date.now() - start > LOCK_TIMEOUT_MS) {
+              return reject(new Error('Timed out waiting for the lock file ' + lockFile))
+            }
+            setTimeout(attempt, LOCK_RETRY_MS)
+          })
+        })
+      }
+      attempt()
+    })
+  }
+
+  function unlock () {
+    return new Promise(function (resolve) {
+      fs.unlink(lockFile, function () { resolve() })
+    })
+  }
+
+  function append (record) {
+    return withLock(function () {
+      return appendFile(file, JSON.stringify(record) + '\n')
+    }).then(function () {
+      lines++
+      if (lines > compactThreshold && lines > 2 * (entries.size + pins.size)) {
+        return load().then(function () {
+          if (lines > compactThreshold && lines > 2 * (entries.size + pins.size)) return compact()
+        })
+      }
+    })
+  }
+
+  function isStale (entry, now) {
+    return now - entry.time > entry.ttl * 1000
+  }
+
+  function isTooStale (entry, now) {
+    return now - entry.time > (entry.ttl + maxStaleness) * 1000
+  }
+
+  // resolves to {key, ttl, expires, stale}, or rejects with err if there is no usable entry
+  function read (name, err, protocol) {
+    return load().then(function () {
+      var entry = entries.get((protocol || DEFAULT_PROTOCOL) + ':' + name)
+      var now = Date.now()
+      if (!entry || isTooStale(entry, now)) {
+        throw err || new Error('No cache entry for ' + name)
+      }
+      var expires = entry.time + entry.ttl * 1000
+      return {
+        key: entry.key,
+        ttl: Math.max(0, Math.round((expires - now) / 1000)),
+        expires,
+        stale: isStale(entry, now)
+      }
+    })
+  }
+
+  function write (name, key, ttl, protocol) {
+    return append({
+      type: 'entry',
+      protocol: protocol || DEFAULT_PROTOCOL,
+      name,
+      key,
+      ttl: typeof ttl === 'number' ? ttl : 0,
+      time: Date.now()
+    })
+  }
+
+  function readPin (name, protocol) {
+    return load().then(function () {
+      var pin = pins.get((protocol || DEFAULT_PROTOCOL) + ':' + name)
+      return pin ? pin.key : null
+    })
+  }
+
+  function writePin (name, key, protocol) {
+    return append({
+      type: 'pin',
+      protocol: protocol || DEFAULT_PROTOCOL,
+      name,
+      key,
+      time: Date.now()
+    })
+  }
+
+  // resolves to an array of {protocol, name, key, ttl, time, expires, stale}
+  function list () {
+    return load().then(function () {
+      var now = Date.now()
+      return Array.from(entries.values()).map(function (entry) {
+        return {
+          protocol: entry.protocol,
+          name: entry.name,
+          key: entry.key,
+          ttl: entry.ttl,
+          time: entry.time,
+          expires: entry.time + entry.ttl * 1000,
+          stale: isStale(entry, now)
+        }
+      })
+    })
+  }
+
+  // rewrite the file with only the latest entry of each name, and without entries that are too stale
+  function compact () {
+    return withLock(function () {
+      return load().then(function () {
+        var now = Date.now()
+        var records = Array.from(entries.values()).filter(function (entry) { return !isTooStale(entry, now) })
+          .concat(Array.from(pins.values()))
+        var text = records.map(function (record) { return JSON.stringify(record) + '\n' }).join('')
+        var tmp = file + '.' + process.pid + '.tmp'
+        debug('Compacting', file, 'from', lines, 'to', records.length, 'lines')
+        return writeFile(tmp, text).then(function () {
+          return rename(tmp, file)
+        })
+      })
+    }).then(load)
+  }
+
+  return {
+    read,
+    write,
+    readPin,
+    writePin,
+    list,
+    compact
+  }
+}
+
+function stat (file) {
+  return new Promise(function (resolve, reject) {
+    fs.stat(file, function (err, st) {
+      if (err && err.code === 'ENOENT') resolve(null)
+      else if (err) reject(err)
+      else resolve(st)
+    })
+  })
+}
+
+function readFile (file) {
+  return new Promise(function (resolve, reject) {
+    fs.readFile(file, 'utf-8', function (err, text) {
+      if (err) reject(err)
+      else resolve(text)
+    })
+  })
+}
+
+function appendFile (file, text) {
+  return new Promise(function (resolve, reject) {
+    fs.appendFile(file, text, function (err) {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+}
+
+function writeFile (file, text) {
+  return new Promise(function (resolve, reject) {
+    fs.writeFile(file, text, function (err) {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+}
+
+function rename (from, to) {
+  return new Promise(function (resolve, reject) {
+    fs.rename(from, to, function (err) {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+}
@@ -1,20 +1,35 @@
 const debug = require('debug')('dat')
 const url = require('url')
-const https = require('https')
 const Emitter = require('events')
 const { stringify } = require('querystring')
 const memoryCache = require('./cache')
+const createProviderPool = require('./providers')
+const wire = require('./wire')
+const signature = require('./signature')
+const createStaticNames = require('./static-names')
+const { parseName } = require('./names')
+const { createError, notFound, fromNetworkError, fromDnsError, isNegative, abortError, isAbort, DEFAULT_NEGATIVE_TTL, MAX_NEGATIVE_TTL } = require('./errors')
+const { createAbortSource, onAbort, sleep } = require('./abort')
+const { createDefaultTransport, createHttpsTransport, createFetchTransport } = require('./transports')
 const callMeMaybe = require('call-me-maybe')
-const concat = require('concat-stream')
+const psl = require('psl')
 
 const DAT_HASH_REGEX = /^[0-9a-f]{64}?$/i
 const DAT_PROTOCOL_REGEX = /^dat:\/\/([0-9a-f]{64})/i
 const DAT_RECORD_NAME = 'dat'
 const DAT_TXT_REGEX = /"?datkey=([0-9a-f]{64})"?/i
-const VERSION_REGEX = /(\+[^\/]+)$/
 const DEFAULT_DAT_DNS_TTL = 3600 // 1hr
 const MAX_DAT_DNS_TTL = 3600 * 24 * 7 // 1 week
+const DEFAULT_METHODS = ['dns-over-https', 'well-known'] // 'system-dns' is added when opts.dnsServers is given
+const STRATEGIES = ['order', 'race', 'consensus']
+const DNS_METHODS = ['dns-over-https', 'system-dns'] // methods that read the DNS record, which one DNS hijack can fool together
 const DEFAULT_DNS_PROVIDERS = [['cloudflare-dns.com', 443, '/dns-query'], ['dns.google', 443, '/resolve']]
+const DEFAULT_TIMEOUT = 2000 // ms
+const DEFAULT_RETRY_DELAY = 200 // ms, doubled on every retry
+const DEFAULT_CONCURRENCY = 8 // names resolved at a time by resolveMany()
+const DEFAULT_WELL_KNOWN_MAX_REDIRECTS = 3
+const DEFAULT_WELL_KNOWN_MAX_BYTES = 16 * 1024
+const REDIRECT_CODES = [301, 302, 303, 307, 308]
 
 module.exports = createDatDNS
 
@@ -29,206 +44,1418 @@ function maybe (cb, p) {
   return callMeMaybe(cb, p)
 }
 
+// build a protocol description from its options
+// (entries of opts.protocols default to `${name}://` urls and `${name}key=` TXT records)
+function createProtocol (name, opts, optsPath, defaults) {
+  opts = opts || {}
+  defaults = defaults || {
+    txtRegex: new RegExp('"?' + name + 'key=([0-9a-f]{64})"?', 'i'),
+    protocolRegex: new RegExp('^' + name + ':\\/\\/([0-9a-f]{64})', 'i')
+  }
+  if (opts.hashRegex && !(opts.hashRegex instanceof RegExp)) { throw new Error(optsPath + '.hashRegex must be a RegExp object') }
+  if (opts.txtRegex && !(opts.txtRegex instanceof RegExp)) { throw new Error(optsPath + '.txtRegex must be a RegExp object') }
+  if (opts.protocolRegex && !(opts.protocolRegex instanceof RegExp)) { throw new Error(optsPath + '.protocolRegex must be a RegExp object') }
+  return {
+    name,
+    recordName: opts.recordName || name,
+    hashRegex: opts.hashRegex || DAT_HASH_REGEX,
+    txtRegex: opts.txtRegex || defaults.txtRegex,
+    protocolRegex: opts.protocolRegex || defaults.protocolRegex
+  }
+}
+
+// keys are cached per protocol
+function cacheKey (protocol, name) {
+  return protocol.name + ':' + name
+}
+
+// persistent caches may read a bare key, or {key, ttl, expires, stale}
+function toCacheEntry (value) {
+  return value && typeof value === 'object' ? value : { key: value }
+}
+
 function createDatDNS (datDnsOpts) {
   datDnsOpts = datDnsOpts || {}
-  if (datDnsOpts.hashRegex && !(datDnsOpts.hashRegex instanceof RegExp)) { throw new Error('opts.hashRegex must be a RegExp object') }
-  if (datDnsOpts.txtRegex && !(datDnsOpts.txtRegex instanceof RegExp)) { throw new Error('opts.txtRegex must be a RegExp object') }
-  if (datDnsOpts.protocolRegex && !(datDnsOpts.protocolRegex instanceof RegExp)) { throw new Error('opts.protocolRegex must be a RegExp object') }
-  var hashRegex = datDnsOpts.hashRegex || DAT_HASH_REGEX
-  var dnsTxtRegex = datDnsOpts.txtRegex || DAT_TXT_REGEX
-  var protocolRegex = datDnsOpts.protocolRegex || DAT_PROTOCOL_REGEX
-  var recordName = datDnsOpts.recordName || DAT_RECORD_NAME
+  var protocols = {}
+  if (datDnsOpts.protocols) {
+    if (typeof datDnsOpts.protocols !== 'object') { throw new Error('opts.protocols must be an object') }
+    Object.keys(datDnsOpts.protocols).forEach(function (name) {
+      protocols[name] = createProtocol(name, datDnsOpts.protocols[name], 'opts.protocols.' + name)
+    })
+    if (Object.keys(protocols).length === 0) { throw new Error('opts.protocols must define at least one protocol') }
+  } else {
+    let recordName = datDnsOpts.recordName || DAT_RECORD_NAME
+    protocols[recordName] = createProtocol(recordName, datDnsOpts, 'opts', { txtRegex: DAT_TXT_REGEX, protocolRegex: DAT_PROTOCOL_REGEX })
+  }
+  var defaultProtocol = datDnsOpts.defaultProtocol || Object.keys(protocols)[0]
+  if (!protocols[defaultProtocol]) { throw new Error('opts.defaultProtocol must name one of the configured protocols') }
+  // static names map to fixed keys of the default protocol
+  var staticNames = datDnsOpts.staticNames
+    ? createStaticNames(datDnsOpts.staticNames, { hashRegex: protocols[defaultProtocol].hashRegex })
+    : null
   var pCache = datDnsOpts.persistentCache
   var mCache = memoryCache()
+  var staleWhileRevalidate = datDnsOpts.staleWhileRevalidate || 0
+  var refreshAhead = datDnsOpts.refreshAhead || 0
+  var hot = new Set() // cache ids that were read since they were last refreshed
+  var refreshing = new Set() // cache ids that are being refreshed
+  var cachedMetadata = new Map() // cache id -> {version, metadata} of keys from JSON .well-known records
+  var reverseIndex = new Map() // key -> Set of the cache ids that hold it
+  var indexedKeys = new Map() // cache id -> key
   mCache.init({
     ttl: 60,
     interval: datDnsOpts.cacheCleanSeconds || 60,
+    grace: staleWhileRevalidate,
+    maxEntries: datDnsOpts.cacheMaxEntries,
+    onInterval: refreshAhead ? refreshHotEntry : undefined,
+    onRemove: function (id) {
+      hot.delete(id)
+      cachedMetadata.delete(id)
+      unindexKey(id)
+    }
   });
-  var dnsHost
-  var dnsPort
-  var dnsPath
-  if (!datDnsOpts.dnsHost || !datDnsOpts.dnsPath) {
-    let dnsProvider = DEFAULT_DNS_PROVIDERS[Math.floor(Math.random() * DEFAULT_DNS_PROVIDERS.length)]
-    dnsHost = dnsProvider[0]
-    dnsPort = dnsProvider[1]
-    dnsPath = dnsProvider[2]
-  } else {
-    dnsHost = datDnsOpts.dnsHost
-    dnsPort = datDnsOpts.dnsPort || 443
-    dnsPath = datDnsOpts.dnsPath
+  var dnsProviders = datDnsOpts.dnsProviders || DEFAULT_DNS_PROVIDERS
+  if (datDnsOpts.dnsHost && datDnsOpts.dnsPath) {
+    dnsProviders = [[datDnsOpts.dnsHost, datDnsOpts.dnsPort || 443, datDnsOpts.dnsPath]]
   }
+  var providerPool = createProviderPool(dnsProviders, {
+    mode: datDnsOpts.dnsMode,
+    backoffFailures: datDnsOpts.dnsBackoffFailures,
+    backoffSeconds: datDnsOpts.dnsBackoffSeconds,
+    maxBackoffSeconds: datDnsOpts.dnsMaxBackoffSeconds
+  })
+
+  var dnsServers = datDnsOpts.dnsServers
+  if (dnsServers && !Array.isArray(dnsServers)) { throw new Error('opts.dnsServers must be an array') }
+
+  var defaultStrategy = datDnsOpts.strategy || 'order'
+  if (STRATEGIES.indexOf(defaultStrategy) === -1) { throw new Error('opts.strategy must be one of ' + STRATEGIES.join(', ')) }
+  var methodOrder = datDnsOpts.methods || (dnsServers ? DEFAULT_METHODS.concat('system-dns') : DEFAULT_METHODS)
+  if (!Array.isArray(methodOrder)) { throw new Error('opts.methods must be an array') }
+
+  if (datDnsOpts.transport && typeof datDnsOpts.transport !== 'function') { throw new Error('opts.transport must be a function') }
+  var transport = datDnsOpts.transport || createDefaultTransport({ agent: datDnsOpts.agent })
+
+  var requestOptNames = ['timeout', 'retries', 'retryDelay']
+  requestOptNames.forEach(function (name) {
+    var value = datDnsOpts[name]
+    if (value !== undefined && !(typeof value === 'number' && value >= 0)) { throw new Error('opts.' + name + ' must be a number') }
+  })
+  if (datDnsOpts.timeout === 0) { throw new Error('opts.timeout must be more than 0') }
+
+  var requireDnssec = !!datDnsOpts.requireDnssec
+  var requireSignedWellKnown = !!datDnsOpts.requireSignedWellKnown
+
+  var inflight = new Map()
+  var coalesced = 0
+
+  var pinning = datDnsOpts.pinning || false
+  if (pinning && pinning !== 'tofu' && pinning !== 'strict') { throw new Error('opts.pinning must be false, \'tofu\' or \'strict\'') }
+  var pins = new Map()
+  var pendingKeyChanges = new Map()
 
   var datDns = new Emitter()
 
-  function resolveName (name, opts, cb) {
-    if (typeof opts === 'function') {
-      cb = opts
-      opts = null
+  function getProtocol (name) {
+    var protocol = protocols[name || defaultProtocol]
+    if (!protocol) throw createError('EINVALID', 'Unknown protocol: ' + name)
+    return protocol
+  }
+
+  // parse a name, url or key into {name, version}, where keys are those of the protocol (or of any protocol)
+  // throws an EINVALID error if the name is malformed
+  function parseNameOf (name, protocol) {
+    var candidates = protocol ? [protocol] : Object.keys(protocols).map(getProtocol)
+    return parseName(name, function (host) {
+      return candidates.some(function (protocol) { return protocol.hashRegex.test(host) })
+    })
+  }
+
+  // resolves to {key, ttl} if name is a static name of the protocol
+  function readStaticName (protocol, name) {
+    if (!staticNames || protocol.name !== defaultProtocol) return
+    var entry = staticNames.get(name)
+    if (!entry) return
+    debug('Static name', name, protocol.name, entry.key)
+    datDns.emit('resolved', {
+      method: 'static',
+      protocol: protocol.name,
+      name,
+      key: entry.key
+    })
+    return { key: entry.key, ttl: clampTTL(entry.ttl) }
+  }
+
+  // read a cache entry, resolves to {key, expires, stale, version, metadata} where key is false for a cached miss
+  // expired keys are returned as stale during the staleWhileRevalidate window
+  function readCache (protocol, name, ignoreCachedMiss) {
+    var id = cacheKey(protocol, name)
+    const cachedKey = mCache.get(id)
+    if (typeof cachedKey !== 'undefined') {
+      if (cachedKey || (!cachedKey && !ignoreCachedMiss)) {
+        let expires = mCache.getExpires(id)
+        let stale = !!expires && expires <= Date.now()
+        debug('In-memory cache hit for name', name, protocol.name, cachedKey, stale ? '(stale)' : '')
+        if (cachedKey) hot.add(id)
+        return Object.assign({ key: cachedKey, expires, stale }, cachedMetadata.get(id))
+      }
     }
-    var ignoreCache = opts && opts.ignoreCache
-    var ignoreCachedMiss = opts && opts.ignoreCachedMiss
-    var noDnsOverHttps = opts && opts.noDnsOverHttps
-    var noWellknownDat = opts && opts.noWellknownDat
-    return maybe(cb, _asyncToGenerator(function * () {
-      // parse the name as needed
-      var nameParsed = url.parse(name)
-      name = nameParsed.hostname || nameParsed.pathname
+  }
 
-      // strip the version
-      name = name.replace(VERSION_REGEX, '')
+  // look the name up again in the background and report whether its key changed
+  // a name is refreshed once at a time
+  function refresh (protocol, name, oldKey) {
+    var id = cacheKey(protocol, name)
+    if (refreshing.has(id)) return Promise.resolve()
+    debug('Refreshing', name, protocol.name)
+    hot.delete(id)
+    refreshing.add(id)
+    return lookupProtocols(name, [protocol], null).then(function (results) {
+      refreshing.delete(id)
+      var key = results[protocol.name].key
+      datDns.emit('refreshed', {
+        protocol: protocol.name,
+        name,
+        key,
+        oldKey,
+        changed: key !== oldKey
+      })
+    }, function (err) {
+      refreshing.delete(id)
+      debug('Refresh failed for name', name, err)
+    })
+  }
 
-      // is it a hash?
-      if (hashRegex.test(name)) {
-        return name.slice(0, 64)
+  // called for each cache entry on every cache interval:
+  // refreshes names that were read recently and expire within refreshAhead seconds
+  function refreshHotEntry (id) {
+    var entry = mCache.peek(id)
+    var expires = entry && entry.expires
+    var oldKey = entry && entry.value
+    if (hot.has(id) && oldKey && expires && expires - Date.now() <= refreshAhead * 1000) {
+      let i = id.indexOf(':')
+      refresh(protocols[id.slice(0, i)], id.slice(i + 1), oldKey)
+    }
+    return Promise.resolve()
+  }
+
+  // set an in-memory cache entry, and keep the key -> names index in step with it
+  function setCache (id, key, ttl) {
+    unindexKey(id)
+    mCache.set(id, key, ttl)
+    if (!key) return
+    key = key.toLowerCase()
+    indexedKeys.set(id, key)
+    if (!reverseIndex.has(key)) reverseIndex.set(key, new Set())
+    reverseIndex.get(key).add(id)
+  }
+
+  function unindexKey (id) {
+    var key = indexedKeys.get(id)
+    if (!key) return
+    indexedKeys.delete(id)
+    var ids = reverseIndex.get(key)
+    ids.delete(id)
+    if (ids.size === 0) reverseIndex.delete(key)
+  }
+
+  function writeCache (protocol, name, res) {
+    var id = cacheKey(protocol, name)
+    if (res.ttl !== 0) {
+      setCache(id, res.key, res.ttl)
+      if (res.metadata) cachedMetadata.set(id, { version: res.version, metadata: res.metadata })
+      else cachedMetadata.delete(id)
+    }
+    if (pCache) {
+      Promise.resolve()
+        .then(function () { return pCache.write(name, res.key, res.ttl, protocol.name) })
+        .catch(function (err) {
+          debug('Failed to write', name, 'to the persistent cache', err)
+        })
+    }
+  }
+
+  // do a DNS-over-HTTPS lookup
+  // resolves to a map of protocol name -> {key, ttl, provider} with every protocol key found in the response
+  function lookupDnsOverHttps (name, wanted, opts, signal) {
+    var dnssec = isDnssecRequired(opts)
+    var requestOpts = getRequestOpts(opts, signal)
+    return withRetries(function () {
+      return fetchDnsOverHttpsRecord(datDns, name, providerPool, Object.assign({ dnssec }, requestOpts))
+    }, requestOpts)
+      .then(function (res) {
+        if (isAbort(res.err)) throw res.err
+        if (res.statusCode !== 200) {
+          let err = res.statusCode === 0
+            ? fromNetworkError(res.err)
+            : createError('EHTTP', 'DNS-over-HTTPS provider answered with HTTP code ' + res.statusCode, { statusCode: res.statusCode })
+          debug('dns-over-https failed', name, err.message)
+          datDns.emit('failed', {
+            method: 'dns-over-https',
+            name,
+            err: err.message
+          })
+          throw err
+        }
+
+        // parse the record
+        var provider = res.provider.host
+        var results = parseDnsOverHttpsRecord(datDns, name, res.body, Object.keys(protocols).map(getProtocol), res.provider.format)
+        var validated = Object.keys(results).some(function (protocolName) { return results[protocolName].dnssec })
+        if (dnssec && !validated) {
+          debug('dns-over-https failed', name, 'answer is not DNSSEC validated by', provider)
+          datDns.emit('failed', {
+            method: 'dns-over-https',
+            name,
+            err: 'Answer is not DNSSEC validated'
+          })
+          throw createError('EDNSSEC', 'DNS record is not DNSSEC validated')
+        }
+        Object.keys(results).forEach(function (protocolName) {
+          var res = results[protocolName]
+          res.provider = provider
+          datDns.emit('resolved', {
+            method: 'dns-over-https',
+            protocol: protocolName,
+            name,
+            key: res.key,
+            dnssec: res.dnssec
+          })
+          debug('dns-over-http resolved', name, 'to', res.key, 'for', protocolName)
+        })
+        return results
+      })
+  }
+
+  // ask the OS resolver (or opts.dnsServers)
+  // resolves to a map of protocol name -> {key, ttl} with every protocol key found
+  function lookupSystemDns (name, wanted, opts, signal) {
+    return fetchSystemDnsRecord(name, dnsServers, getRequestOpts(opts, signal))
+      .catch(function (err) {
+        if (isAbort(err)) throw err
+        debug('system dns failed', name, err.code || err)
+        datDns.emit('failed', {
+          method: 'system-dns',
+          name,
+          err: err.code || err.message
+        })
+        throw fromDnsError(err)
+      })
+      .then(function (records) {
+        var results = parseSystemDnsRecord(datDns, name, records, Object.keys(protocols).map(getProtocol))
+        Object.keys(results).forEach(function (protocolName) {
+          var res = results[protocolName]
+          datDns.emit('resolved', {
+            method: 'system-dns',
+            protocol: protocolName,
+            name,
+            key: res.key,
+            dnssec: false
+          })
+          debug('system dns resolved', name, 'to', res.key, 'for', protocolName)
+        })
+        return results
+      })
+  }
+
+  // do a .well-known/`${recordName}` lookup for each of the protocols
+  // resolves to a map of protocol name -> {key, ttl}, and passes the errors of the protocols
+  // that were not found to onError (or rejects with the first one if no protocol was found)
+  function lookupWellKnownAll (name, wanted, opts, signal, onError) {
+    var errors = []
+    return Promise.all(wanted.map(function (protocol) {
+      return lookupWellKnown(name, protocol, opts, signal).catch(function (err) {
+        errors.push(err)
+        return null
+      })
+    })).then(function (found) {
+      // the record of each protocol goes first, then the other keys of JSON records
+      var results = {}
+      wanted.forEach(function (protocol, i) {
+        if (found[i]) results[protocol.name] = found[i][protocol.name]
+      })
+      found.forEach(function (records) {
+        Object.keys(records || {}).forEach(function (protocolName) {
+          if (!results[protocolName]) results[protocolName] = records[protocolName]
+        })
+      })
+      if (Object.keys(results).length === 0) throw errors[0]
+      errors.forEach(onError)
+      Object.keys(results).forEach(function (protocolName) {
+        var res = results[protocolName]
+        datDns.emit('resolved', {
+          method: 'well-known',
+          protocol: protocolName,
+          name,
+          key: res.key,
+          dnssec: false,
+          signed: !!res.signed
+        })
+        debug('.well-known resolved', name, 'to', res.key, 'for', protocolName)
+      })
+      return results
+    })
+  }
+
+  // resolves to a map of protocol name -> {key, ttl, version, metadata}
+  // with the key of the protocol, and with the keys of the other protocols if the record is JSON
+  function lookupWellKnown (name, protocol, opts, signal) {
+    var recordName = protocol.recordName
+    var requestOpts = getRequestOpts(opts, signal)
+    var fetchOpts = Object.assign({
+      maxRedirects: typeof datDnsOpts.wellKnownMaxRedirects === 'number' ? datDnsOpts.wellKnownMaxRedirects : DEFAULT_WELL_KNOWN_MAX_REDIRECTS,
+      maxBytes: datDnsOpts.wellKnownMaxBytes || DEFAULT_WELL_KNOWN_MAX_BYTES
+    }, requestOpts)
+    return withRetries(function () {
+      return fetchWellKnownRecord(name, recordName, fetchOpts)
+    }, requestOpts).then(function (res) {
+      if (isAbort(res.err)) throw res.err
+      if (res.statusCode !== 200) {
+        debug('.well-known/' + recordName + ' lookup failed for name:', name, res.statusCode, res.err)
+        datDns.emit('failed', {
+          method: 'well-known',
+          protocol: protocol.name,
+          name,
+          err: 'HTTP code ' + res.statusCode + (res.err ? ' ' + res.err : '')
+        })
+        if (res.statusCode === 404 || res.statusCode === 410) {
+          throw notFound('No .well-known/' + recordName + ' record')
+        } else if (res.statusCode === 0 && res.err && res.err.code === 'ENOTFOUND') {
+          throw notFound('Domain does not exist') // the host does not resolve
+        } else if (res.statusCode === 0) {
+          throw fromNetworkError(res.err)
+        }
+        throw createError('EHTTP', '.well-known/' + recordName + ' answered with HTTP code ' + res.statusCode, { statusCode: res.statusCode })
       }
 
-      try {
-        // check the cache
-        if (!ignoreCache) {
-          const cachedKey = mCache.get(name)
-          if (typeof cachedKey !== 'undefined') {
-            if (cachedKey || (!cachedKey && !ignoreCachedMiss)) {
-              debug('In-memory cache hit for name', name, cachedKey)
-              if (cachedKey) return cachedKey
-              else throw new Error('DNS record not found') // cached miss
-            }
+      // catch-all pages are not records
+      var contentType = res.headers['content-type']
+      if (contentType && /^text\/html\b/i.test(contentType)) {
+        debug('.well-known/' + recordName + ' lookup failed for name:', name, 'Content-Type', contentType)
+        datDns.emit('failed', {
+          method: 'well-known',
+          protocol: protocol.name,
+          name,
+          err: 'Content-Type ' + contentType
+        })
+        throw createError('EINVALID', '.well-known/' + recordName + ' is an HTML page')
+      }
+
+      // parse the record
+      // without a TTL line, the TTL may come from the Cache-Control header
+      var fallbackTtl = datDnsOpts.wellKnownCacheControl ? parseCacheControl(res.headers['cache-control']) : undefined
+      var results
+      if (/^\s*\{/.test(res.body)) {
+        results = parseWellKnownJsonRecord(datDns, name, res.body, protocol, Object.keys(protocols).map(getProtocol), fallbackTtl)
+      } else {
+        results = {}
+        results[protocol.name] = parseWellknownDatRecord(datDns, name, res.body, protocol, fallbackTtl)
+      }
+      if (isSignatureRequired(opts)) {
+        // the key of the protocol must be signed, the other keys are dropped if they are not
+        results[protocol.name] = verifyWellKnownSignature(datDns, name, results[protocol.name], protocol)
+        Object.keys(results).forEach(function (protocolName) {
+          if (protocolName === protocol.name) return
+          try {
+            results[protocolName] = verifyWellKnownSignature(datDns, name, results[protocolName], protocols[protocolName])
+          } catch (err) {
+            delete results[protocolName]
           }
+        })
+      }
+      return results
+    })
+  }
+
+  var methods = {
+    'dns-over-https': lookupDnsOverHttps,
+    'well-known': lookupWellKnownAll,
+    'system-dns': lookupSystemDns
+  }
+
+  function isDnssecRequired (opts) {
+    return opts && typeof opts.requireDnssec === 'boolean' ? opts.requireDnssec : requireDnssec
+  }
+
+  function isSignatureRequired (opts) {
+    return opts && typeof opts.requireSignedWellKnown === 'boolean' ? opts.requireSignedWellKnown : requireSignedWellKnown
+  }
+
+  // the timeout and retries of the requests of a lookup, from the call or the instance options
+  function getRequestOpts (opts, signal) {
+    var get = function (name) {
+      return opts && typeof opts[name] === 'number' ? opts[name] : datDnsOpts[name]
+    }
+    return { timeout: get('timeout'), retries: get('retries') || 0, retryDelay: get('retryDelay'), signal, transport }
+  }
+
+  // the caches only hold keys found with the instance's DNSSEC and signature settings
+  function canUseCache (opts) {
+    return isDnssecRequired(opts) === requireDnssec && isSignatureRequired(opts) === requireSignedWellKnown
+  }
+
+  // the methods to use for a lookup, in order
+  function getMethods (opts) {
+    var list = (opts && opts.methods) || methodOrder
+    return list.filter(function (method) {
+      if (!methods[method]) throw new Error('Unknown resolution method: ' + method)
+      // only DNS-over-HTTPS answers can be DNSSEC validated
+      if (method !== 'dns-over-https' && isDnssecRequired(opts)) return false
+      if (method === 'dns-over-https' && opts && opts.noDnsOverHttps) return false
+      if (method === 'well-known' && opts && opts.noWellknownDat) return false
+      if (method === 'system-dns' && opts && opts.noSystemDns) return false
+      return true
+    })
+  }
+
+  // run the methods of the strategy for the wanted protocols and cache the accepted keys
+  // resolves to a map of protocol name -> {key, ttl, method, provider}, rejects if no key was found
+  //
+  // concurrent lookups of the same name with the same options share one promise
+  // the requests of a shared lookup are aborted once every caller with opts.signal aborted it
+  function lookupProtocols (name, wanted, opts) {
+    var signal = opts && opts.signal
+    if (signal && signal.aborted) return Promise.reject(abortError())
+    var strategy = (opts && opts.strategy) || defaultStrategy
+    if (STRATEGIES.indexOf(strategy) === -1) return Promise.reject(new Error('Unknown resolution strategy: ' + strategy))
+    var list
+    try {
+      list = getMethods(opts)
+    } catch (err) {
+      return Promise.reject(err)
+    }
+
+    var id = [
+      name,
+      wanted.map(function (protocol) { return protocol.name }).join(','),
+      strategy,
+      list.join(','),
+      isDnssecRequired(opts),
+      isSignatureRequired(opts)
+    ].join('|')
+    var entry = inflight.get(id)
+    if (entry) {
+      debug('Joining in-flight lookup for name', name)
+      coalesced++
+    } else {
+      let aborter = createAbortSource()
+      let done = function () {
+        if (inflight.get(id) === entry) inflight.delete(id)
+      }
+      entry = {
+        callers: 0,
+        promise: runLookup(name, wanted, opts, strategy, list, aborter.signal),
+        abort: function () {
+          debug('Aborting lookup for name', name)
+          done()
+          aborter.abort()
         }
+      }
+      inflight.set(id, entry)
+      entry.promise.then(done, done)
+    }
+    return joinLookup(entry, signal)
+  }
 
-        var res
-        if (!noDnsOverHttps) {
-          try {
-            // do a DNS-over-HTTPS lookup
-            res = yield fetchDnsOverHttpsRecord(datDns, name, { host: dnsHost, port: dnsPort, path: dnsPath })
+  function joinLookup (entry, signal) {
+    entry.callers++
+    if (!signal) return entry.promise
+    return new Promise(function (resolve, reject) {
+      var stop = onAbort(signal, function () {
+        reject(abortError())
+        if (--entry.callers === 0) entry.abort()
+      })
+      entry.promise.then(function (res) {
+        stop()
+        resolve(res)
+      }, function (err) {
+        stop()
+        reject(err)
+      })
+    })
+  }
 
-            // parse the record
-            res = parseDnsOverHttpsRecord(datDns, name, res.body, dnsTxtRegex)
-            datDns.emit('resolved', {
-              method: 'dns-over-https',
-              name,
-              key: res.key
+  function runLookup (name, wanted, opts, strategy, list, signal) {
+    var errors = []
+    var answered = new Set() // the wanted protocols that a method found a key of
+    var settled = 0 // the methods that answered or failed
+    var useCache = canUseCache(opts)
+
+    var run = function (method, protocols) {
+      if (signal.aborted) return Promise.resolve({})
+      var onError = function (err) { errors.push(err) }
+      return methods[method](name, protocols, opts, signal, onError).then(function (results) {
+        settled++
+        Object.keys(results).forEach(function (protocolName) {
+          results[protocolName].method = method
+          if (isWanted(protocolName)) answered.add(protocolName)
+        })
+        return results
+      }, function (err) {
+        settled++
+        onError(err)
+        return {}
+      })
+    }
+
+    // keys found for any protocol, checked against the pins and cached when the lookup finishes
+    var accepted = {}
+    var accept = function (protocolName, res) {
+      if (!accepted[protocolName]) accepted[protocolName] = res
+    }
+    var isWanted = function (protocolName) {
+      return wanted.some(function (protocol) { return protocol.name === protocolName })
+    }
+
+    var finish = function () {
+      return checkPins(name, accepted).then(function (pinErrors) {
+        var results = {}
+        Object.keys(accepted).forEach(function (protocolName) {
+          if (pinErrors[protocolName]) {
+            if (isWanted(protocolName)) errors.push(pinErrors[protocolName])
+            return
+          }
+          if (useCache) writeCache(protocols[protocolName], name, accepted[protocolName])
+          if (isWanted(protocolName)) results[protocolName] = accepted[protocolName]
+        })
+        // cache the misses of the wanted protocols once every method answered without their key,
+        // but not when a method failed
+        var missing = wanted.filter(function (protocol) { return !answered.has(protocol.name) })
+        if (useCache && missing.length && list.length && settled === list.length && errors.every(isNegative)) {
+          let negativeTtl = errors.length
+            ? Math.min.apply(Math, errors.map(function (err) { return err.negativeTtl }))
+            : DEFAULT_NEGATIVE_TTL
+          if (negativeTtl > 0) {
+            missing.forEach(function (protocol) {
+              setCache(cacheKey(protocol, name), false, negativeTtl)
             })
-            debug('dns-over-http resolved', name, 'to', res.key)
-          } catch (e) {
-            // ignore, we'll try .well-known/`${recordName}` next
-            res = false
           }
         }
+        if (Object.keys(results).length === 0) {
+          // report a failure over a negative answer, the name may still have a record
+          throw errors.filter(function (err) { return !isNegative(err) }).pop() || errors[errors.length - 1] || notFound()
+        }
+        return results
+      })
+    }
 
-        if (!res && !noWellknownDat) {
-          // do a .well-known/`${recordName}` lookup
-          res = yield fetchWellKnownRecord(name, recordName)
-          if (res.statusCode === 0 || res.statusCode === 404) {
-            debug('.well-known/' + recordName + ' lookup failed for name:', name, res.statusCode, res.err)
-            datDns.emit('failed', {
-              method: 'well-known',
-              name,
-              err: 'HTTP code ' + res.statusCode + ' ' + res.err
-            })
-            mCache.set(name, false, 60) // cache the miss for a minute
-            throw new Error('DNS record not found')
-          } else if (res.statusCode !== 200) {
-            debug('.well-known/' + recordName + ' lookup failed for name:', name, res.statusCode)
-            datDns.emit('failed', {
-              method: 'well-known',
+    if (strategy === 'race') {
+      // use the first method that finds a key
+      return new Promise(function (resolve) {
+        var remaining = list.length
+        if (remaining === 0) resolve({})
+        list.forEach(function (method) {
+          run(method, wanted).then(function (found) {
+            remaining--
+            if (Object.keys(found).some(isWanted) || remaining === 0) resolve(found)
+          })
+        })
+      }).then(function (found) {
+        Object.keys(found).forEach(function (protocolName) {
+          accept(protocolName, found[protocolName])
+        })
+        return finish()
+      })
+    }
+
+    if (strategy === 'consensus') {
+      // every method that finds a key must agree, and both .well-known and a DNS method must find one
+      return Promise.all(list.map(function (method) { return run(method, wanted) })).then(function (found) {
+        wanted.forEach(function (protocol) {
+          var answers = found.map(function (results) { return results[protocol.name] }).filter(Boolean)
+          var keys = {}
+          answers.forEach(function (res) { keys[res.method] = res.key })
+          if (answers.some(function (res) { return res.key !== answers[0].key })) {
+            debug('consensus failed', name, 'methods disagree', keys)
+            datDns.emit('mismatch', {
+              protocol: protocol.name,
               name,
-              err: 'HTTP code ' + res.statusCode
+              keys
             })
-            throw new Error('DNS record not found')
+            errors.push(createError('EMISMATCH', 'DNS records do not agree'))
+          } else if (!answers.some(function (res) { return res.method === 'well-known' }) ||
+              !answers.some(function (res) { return DNS_METHODS.indexOf(res.method) !== -1 })) {
+            debug('consensus failed', name, 'the key was not found by both .well-known and DNS', keys)
+            errors.push(createError('ENOCONSENSUS', 'DNS records could not be confirmed by .well-known, or .well-known by DNS'))
+          } else {
+            accept(protocol.name, Object.assign({}, answers[0], {
+              method: 'consensus',
+              ttl: Math.min.apply(Math, answers.map(function (res) { return res.ttl }))
+            }))
           }
+        })
+        return finish()
+      })
+    }
 
-          // parse the record
-          res = parseWellknownDatRecord(datDns, name, res.body, protocolRegex, recordName)
-          datDns.emit('resolved', {
-            method: 'well-known',
-            name,
-            key: res.key
-          })
-          debug('.well-known/' + recordName + ' resolved', name, 'to', res.key)
+    // use the methods in order until every protocol has a key
+    var pending = wanted
+    var i = 0
+    var next = function () {
+      if (pending.length === 0 || i >= list.length) return finish()
+      return run(list[i++], pending).then(function (found) {
+        Object.keys(found).forEach(function (protocolName) {
+          accept(protocolName, found[protocolName])
+        })
+        pending = pending.filter(function (protocol) { return !accepted[protocol.name] })
+        return next()
+      })
+    }
+    return next()
+  }
+
+  // check the keys found for a name against the pinned keys
+  // resolves to a map of protocol name -> error for the keys that are rejected
+  function checkPins (name, found) {
+    var pinErrors = {}
+    if (!pinning) return Promise.resolve(pinErrors)
+    return Promise.all(Object.keys(found).map(function (protocolName) {
+      var id = cacheKey(protocols[protocolName], name)
+      var key = found[protocolName].key
+      return readPin(protocolName, name).then(function (pinnedKey) {
+        if (!pinnedKey) {
+          debug('Pinning', name, 'to', key, 'for', protocolName)
+          return writePin(protocolName, name, key)
+        }
+        if (pinnedKey === key) return
+        debug('Key changed for name', name, protocolName, pinnedKey, '->', key)
+        datDns.emit('key-changed', {
+          protocol: protocolName,
+          name,
+          oldKey: pinnedKey,
+          newKey: key
+        })
+        if (pinning !== 'strict') {
+          return writePin(protocolName, name, key)
         }
+        // hold the new key back until acceptKeyChange() is called
+        pendingKeyChanges.set(id, key)
+        let err = createError('EKEYCHANGED', 'Key of ' + name + ' changed from ' + pinnedKey + ' to ' + key)
+        err.oldKey = pinnedKey
+        err.newKey = key
+        pinErrors[protocolName] = err
+      })
+    })).then(function () {
+      return pinErrors
+    })
+  }
 
-        // cache
-        if (res.ttl !== 0) mCache.set(name, res.key, res.ttl)
-        if (pCache) pCache.write(name, res.key, res.ttl)
+  // pins are kept in memory and, if it supports them, in the persistent cache
+  function readPin (protocolName, name) {
+    var id = cacheKey(protocols[protocolName], name)
+    if (pins.has(id)) return Promise.resolve(pins.get(id))
+    if (!pCache || typeof pCache.readPin !== 'function') return Promise.resolve(null)
+    return Promise.resolve()
+      .then(function () { return pCache.readPin(name, protocolName) })
+      .catch(function (err) {
+        debug('Failed to read pin of', name, err)
+        return null
+      })
+      .then(function (key) {
+        if (key) pins.set(id, key)
+        return key || null
+      })
+  }
 
-        return res.key
+  function writePin (protocolName, name, key) {
+    pins.set(cacheKey(protocols[protocolName], name), key)
+    if (!pCache || typeof pCache.writePin !== 'function') return Promise.resolve()
+    return Promise.resolve()
+      .then(function () { return pCache.writePin(name, key, protocolName) })
+      .catch(function (err) {
+        debug('Failed to write pin of', name, err)
+      })
+  }
+
+  // approve the key change that was held back for a name in strict pinning mode
+  function acceptKeyChange (name, opts, cb) {
+    if (typeof opts === 'function') {
+      cb = opts
+      opts = null
+    }
+    return maybe(cb, _asyncToGenerator(function * () {
+      var protocol = getProtocol(opts && opts.protocol)
+      name = parseNameOf(name, protocol).name
+      var id = cacheKey(protocol, name)
+      if (!pendingKeyChanges.has(id)) {
+        throw new Error('No key change to accept for ' + name)
+      }
+      var key = pendingKeyChanges.get(id)
+      pendingKeyChanges.delete(id)
+      yield writePin(protocol.name, name, key)
+      mCache.del(id) // let the next lookup find and cache the new key
+      datDns.emit('key-change-accepted', {
+        protocol: protocol.name,
+        name,
+        key
+      })
+      return key
+    }))
+  }
+
+  // resolve a name to a full resolution record
+  function lookup (name, opts) {
+    var ignoreCache = (opts && opts.ignoreCache) || !canUseCache(opts)
+    var ignoreCachedMiss = opts && opts.ignoreCachedMiss
+    return _asyncToGenerator(function * () {
+      var protocol = getProtocol(opts && opts.protocol)
+      var parsed = parseNameOf(name, protocol)
+      var version = parsed.version
+      name = parsed.name
+
+      function result (method, res) {
+        var ttl = typeof res.ttl === 'number' ? res.ttl : null
+        return {
+          name,
+          protocol: protocol.name,
+          key: res.key,
+          version: version || res.version || null,
+          method,
+          ttl,
+          expires: res.expires || (ttl !== null ? Date.now() + ttl * 1000 : null),
+          provider: res.provider || null,
+          dnssec: typeof res.dnssec === 'boolean' ? res.dnssec : null,
+          signed: typeof res.signed === 'boolean' ? res.signed : null,
+          stale: !!res.stale,
+          metadata: res.metadata || null
+        }
+      }
+
+      // is it a hash?
+      if (protocol.hashRegex.test(name)) {
+        return result('hash', { key: name.slice(0, 64) })
+      }
+
+      // is it a static name?
+      var staticName = readStaticName(protocol, name)
+      if (staticName) {
+        return result('static', staticName)
+      }
+
+      try {
+        // check the cache
+        if (!ignoreCache) {
+          const cached = readCache(protocol, name, ignoreCachedMiss)
+          if (cached && cached.key) {
+            if (cached.stale) refresh(protocol, name, cached.key)
+            return result('cache', {
+              key: cached.key,
+              ttl: cached.expires ? Math.max(0, Math.round((cached.expires - Date.now()) / 1000)) : null,
+              expires: cached.expires,
+              stale: cached.stale,
+              version: cached.version,
+              metadata: cached.metadata
+            })
+          } else if (cached) throw notFound() // cached miss
+        }
+
+        var res = (yield lookupProtocols(name, [protocol], opts))[protocol.name]
+        return result(res.method, res)
       } catch (err) {
-        if (pCache) {
+        if (pCache && canUseCache(opts) && !isAbort(err)) {
           // read from persistent cache on failure
-          return pCache.read(name, err)
+          return result('persistent-cache', toCacheEntry(yield pCache.read(name, err, protocol.name)))
         }
         throw err
       }
+    })()
+  }
+
+  function resolve (name, opts, cb) {
+    if (typeof opts === 'function') {
+      cb = opts
+      opts = null
+    }
+    return maybe(cb, () => lookup(name, opts))
+  }
+
+  function resolveName (name, opts, cb) {
+    if (typeof opts === 'function') {
+      cb = opts
+      opts = null
+    }
+    return maybe(cb, () => lookup(name, opts).then(res => res.key))
+  }
+
+  function resolveAll (name, opts, cb) {
+    if (typeof opts === 'function') {
+      cb = opts
+      opts = null
+    }
+    var ignoreCache = (opts && opts.ignoreCache) || !canUseCache(opts)
+    var ignoreCachedMiss = opts && opts.ignoreCachedMiss
+    return maybe(cb, _asyncToGenerator(function * () {
+      var keys = {}
+      var pending = []
+      name = parseNameOf(name).name
+
+      // is it a hash?
+      Object.keys(protocols).forEach(function (protocolName) {
+        if (protocols[protocolName].hashRegex.test(name)) {
+          keys[protocolName] = name.slice(0, 64)
+        }
+      })
+      if (Object.keys(keys).length) {
+        return keys
+      }
+
+      // check the static names and the cache
+      Object.keys(protocols).forEach(function (protocolName) {
+        var staticName = readStaticName(protocols[protocolName], name)
+        if (staticName) {
+          keys[protocolName] = staticName.key
+          return
+        }
+        var cached = ignoreCache ? undefined : readCache(protocols[protocolName], name, ignoreCachedMiss)
+        if (cached && cached.stale) refresh(protocols[protocolName], name, cached.key)
+        if (cached && cached.key) keys[protocolName] = cached.key
+        else if (!cached) pending.push(protocols[protocolName])
+      })
+
+      // one lookup per method covers every protocol
+      var lookupErr
+      if (pending.length) {
+        let results = yield lookupProtocols(name, pending, opts).catch(function (err) {
+          lookupErr = err
+          return {}
+        })
+        if (isAbort(lookupErr)) throw lookupErr
+        pending = pending.filter(function (protocol) {
+          if (!results[protocol.name]) return true
+          keys[protocol.name] = results[protocol.name].key
+          return false
+        })
+      }
+
+      if (pending.length && pCache && canUseCache(opts)) {
+        // read from persistent cache on failure
+        let err = lookupErr || notFound()
+        let results = yield Promise.all(pending.map(function (protocol) {
+          return Promise.resolve()
+            .then(function () { return pCache.read(name, err, protocol.name) })
+            .catch(function () { return null })
+        }))
+        pending.forEach(function (protocol, i) {
+          if (results[i]) keys[protocol.name] = toCacheEntry(results[i]).key
+        })
+      }
+
+      if (Object.keys(keys).length === 0) {
+        throw lookupErr || notFound()
+      }
+      return keys
+    }))
+  }
+
+  // resolve a list of names, at most opts.concurrency at a time
+  // resolves to {results, errors}, maps of name -> record and name -> error
+  function resolveMany (names, opts, cb) {
+    if (typeof opts === 'function') {
+      cb = opts
+      opts = null
+    }
+    return maybe(cb, function () {
+      var results = {}
+      var errors = {}
+      return runMany(names, opts, function (item) {
+        if (item.err) errors[item.name] = item.err
+        else results[item.name] = item.record
+      }).then(function () {
+        return { results, errors }
+      })
+    })
+  }
+
+  // like resolveMany(), but an async iterable of {name, record, err} in the order the lookups finish
+  // stopping the iteration early stops starting new lookups
+  function resolveEach (names, opts) {
+    var done = [] // finished items that were not read yet
+    var waiting = [] // pending next() calls
+    var finished = false
+    var failure = null
+    var stopped = false
+    var flush = function () {
+      while (waiting.length && (done.length || finished)) {
+        let next = waiting.shift()
+        if (done.length) next.resolve({ value: done.shift(), done: false })
+        else if (failure) next.reject(failure)
+        else next.resolve({ value: undefined, done: true })
+      }
+    }
+    runMany(names, opts, function (item) {
+      if (stopped) return
+      done.push(item)
+      flush()
+    }, function () { return stopped }).then(function () {
+      finished = true
+      flush()
+    }, function (err) {
+      finished = true
+      failure = err
+      flush()
+    })
+    var iterator = {
+      next: function () {
+        return new Promise(function (resolve, reject) {
+          waiting.push({ resolve, reject })
+          flush()
+        })
+      },
+      return: function () {
+        stopped = true
+        done = []
+        return Promise.resolve({ value: undefined, done: true })
+      }
+    }
+    iterator[Symbol.asyncIterator] = function () { return iterator }
+    return iterator
+  }
+
+  // resolve each name with a pool of opts.concurrency workers, calling onResult({name, record, err}) as they finish
+  // every lookup goes through lookup(), so they share the cache and the in-flight lookups of resolve()
+  function runMany (names, opts, onResult, isStopped) {
+    if (!Array.isArray(names)) return Promise.reject(new Error('names must be an array'))
+    var concurrency = opts && opts.concurrency !== undefined ? opts.concurrency : DEFAULT_CONCURRENCY
+    if (!Number.isSafeInteger(concurrency) || concurrency < 1) {
+      return Promise.reject(new Error('opts.concurrency must be a positive integer'))
+    }
+    var queue = Array.from(new Set(names))
+    var next = function () {
+      if (!queue.length || (isStopped && isStopped())) return Promise.resolve()
+      var name = queue.shift()
+      return lookup(name, opts).then(function (record) {
+        onResult({ name, record, err: null })
+      }, function (err) {
+        onResult({ name, record: null, err })
+      }).then(next)
+    }
+    var workers = []
+    for (var i = 0; i < Math.min(concurrency, queue.length); i++) workers.push(next())
+    return Promise.all(workers).then(function () {})
+  }
+
+  // the normalized form of a name, see parseName() in names.js
+  function normalizeName (name, opts) {
+    return parseNameOf(name, opts && opts.protocol ? getProtocol(opts.protocol) : null)
+  }
+
+  // find the names that resolved to a key, in the in-memory cache and in the persistent cache (if it has list())
+  // every name is looked up again, and is only verified if it still resolves to the key
+  // resolves to an array of {name, protocol, key, source, verified}, verified names first
+  function reverseLookup (key, opts, cb) {
+    if (typeof opts === 'function') {
+      cb = opts
+      opts = null
+    }
+    var verify = !(opts && opts.verify === false)
+    return maybe(cb, _asyncToGenerator(function * () {
+      var wanted = opts && opts.protocol ? [getProtocol(opts.protocol)] : Object.keys(protocols).map(getProtocol)
+      if (typeof key !== 'string' || !wanted.some(function (protocol) { return protocol.hashRegex.test(key) })) {
+        throw new Error('Invalid key: ' + key)
+      }
+      key = key.slice(0, 64).toLowerCase()
+      var isWanted = function (protocolName) {
+        return wanted.some(function (protocol) { return protocol.name === protocolName })
+      }
+
+      var matches = new Map() // cache id -> match
+      Array.from(reverseIndex.get(key) || []).forEach(function (id) {
+        var entry = parseCacheKey(id)
+        if (isWanted(entry.protocol)) matches.set(id, { name: entry.name, protocol: entry.protocol, key, source: 'cache', verified: null })
+      })
+      if (pCache && typeof pCache.list === 'function') {
+        let entries = yield Promise.resolve()
+          .then(function () { return pCache.list() })
+          .catch(function (err) {
+            debug('Failed to list the persistent cache', err)
+            return []
+          })
+        entries.forEach(function (entry) {
+          var protocolName = entry.protocol || defaultProtocol
+          var id = protocolName + ':' + entry.name
+          if (typeof entry.key !== 'string' || entry.key.toLowerCase() !== key || !isWanted(protocolName) || matches.has(id)) return
+          matches.set(id, { name: entry.name, protocol: protocolName, key, source: 'persistent-cache', verified: null })
+        })
+      }
+      matches = Array.from(matches.values())
+
+      if (verify) {
+        yield Promise.all(matches.map(function (match) {
+          return lookupProtocols(match.name, [protocols[match.protocol]], opts).then(function (results) {
+            match.verified = results[match.protocol].key.toLowerCase() === key
+          }, function (err) {
+            if (isAbort(err)) throw err
+            debug('Reverse lookup could not verify', match.name, err.message)
+            match.verified = false
+          })
+        }))
+      }
+      return matches.sort(function (a, b) {
+        return (b.verified === true) - (a.verified === true) || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+      })
     }))
   }
 
+  function getProviderStats () {
+    return providerPool.stats()
+  }
+
+  function getLookupStats () {
+    return {
+      inflight: inflight.size,
+      coalesced
+    }
+  }
+
+  // counters of the in-memory cache: entries, maxEntries, hits, misses, negativeHits and evictions
+  function cacheStats () {
+    return mCache.stats()
+  }
+
+  // split a cache id into its protocol and name
+  function parseCacheKey (id) {
+    var i = id.indexOf(':')
+    return { protocol: id.slice(0, i), name: id.slice(i + 1) }
+  }
+
+  // a read-only array of {protocol, name, key, negative, expires, stale}
+  // negative entries are cached misses, their key is null
   function listCache () {
-    return mCache.list()
+    var now = Date.now()
+    return Object.freeze(mCache.list().map(function (entry) {
+      var id = parseCacheKey(entry.id)
+      return Object.freeze({
+        protocol: id.protocol,
+        name: id.name,
+        key: entry.value || null,
+        negative: entry.value === false,
+        expires: entry.expires,
+        stale: entry.expires <= now
+      })
+    }))
+  }
+
+  // drop the cached entries of a name, for all protocols unless opts.protocol is given
+  function invalidate (name, opts) {
+    var names = opts && opts.protocol ? [getProtocol(opts.protocol).name] : Object.keys(protocols)
+    name = parseNameOf(name).name
+    names.forEach(function (protocolName) {
+      var id = cacheKey(protocols[protocolName], name)
+      mCache.del(id)
+    })
+    datDns.emit('cache-invalidated', { name, protocols: names })
+  }
+
+  // cache a key that is already known, for ttl seconds
+  function preload (name, key, ttl, opts) {
+    var protocol = getProtocol(opts && opts.protocol)
+    if (typeof key !== 'string' || !protocol.hashRegex.test(key)) { throw new Error('Invalid key: ' + key) }
+    name = parseNameOf(name, protocol).name
+    setCache(cacheKey(protocol, name), key.slice(0, 64), clampTTL(ttl))
+  }
+
+  // a JSON serializable snapshot of the cache, with the remaining TTL of each entry
+  // stale entries are left out
+  function exportCache () {
+    var now = Date.now()
+    return {
+      version: 1,
+      time: now,
+      entries: mCache.list().filter(function (entry) {
+        return entry.expires > now
+      }).map(function (entry) {
+        var id = parseCacheKey(entry.id)
+        return {
+          protocol: id.protocol,
+          name: id.name,
+          key: entry.value || null,
+          negative: entry.value === false,
+          ttl: Math.ceil((entry.expires - now) / 1000)
+        }
+      })
+    }
+  }
+
+  // load a snapshot made by exportCache(), returns the number of entries added
+  // entries of unknown protocols and entries with invalid names, keys or TTLs are skipped
+  function importCache (snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.entries)) { throw new Error('snapshot must have an entries array') }
+    var count = 0
+    snapshot.entries.forEach(function (entry) {
+      var protocol = entry && protocols[entry.protocol]
+      if (!protocol || !(entry.ttl > 0)) return
+      var name
+      try {
+        name = parseNameOf(entry.name, protocol).name
+      } catch (err) {
+        return
+      }
+      if (entry.negative) {
+        setCache(cacheKey(protocol, name), false, Math.min(entry.ttl, MAX_NEGATIVE_TTL))
+      } else if (typeof entry.key === 'string' && protocol.hashRegex.test(entry.key)) {
+        setCache(cacheKey(protocol, name), entry.key.slice(0, 64), clampTTL(entry.ttl))
+      } else return
+      count++
+    })
+    return count
+  }
+
+  // stop watching the static names file, so the resolver can be discarded
+  function close () {
+    if (staticNames) staticNames.close()
   }
 
   function flushCache () {
     datDns.emit('cache-flushed')
     mCache.flush()
+    hot.clear()
+    cachedMetadata.clear()
+    reverseIndex.clear()
+    indexedKeys.clear()
   }
 
+  datDns.resolve = resolve
   datDns.resolveName = resolveName
+  datDns.resolveAll = resolveAll
+  datDns.resolveMany = resolveMany
+  datDns.resolveEach = resolveEach
+  datDns.reverseLookup = reverseLookup
+  datDns.normalizeName = normalizeName
+  datDns.getProviderStats = getProviderStats
+  datDns.getLookupStats = getLookupStats
+  datDns.acceptKeyChange = acceptKeyChange
+  datDns.cacheStats = cacheStats
   datDns.listCache = listCache
+  datDns.invalidate = invalidate
+  datDns.preload = preload
+  datDns.exportCache = exportCache
+  datDns.importCache = importCache
   datDns.flushCache = flushCache
+  datDns.close = close
   return datDns
 }
 
 createDatDNS.DEFAULT_DNS_PROVIDERS = DEFAULT_DNS_PROVIDERS
+createDatDNS.signWellKnownRecord = signWellKnownRecord
+createDatDNS.createFileCache = createFileCache
+createDatDNS.createHttpsTransport = createHttpsTransport
+createDatDNS.createFetchTransport = createFetchTransport
+createDatDNS.createServer = createServer
 
-function fetchDnsOverHttpsRecord (datDns, name, { host, port, path }) {
-  return new Promise((resolve, reject) => {
-    // ensure the name is a FQDN
-    if (!name.includes('.')) {
-      debug('dns-over-https failed', name, 'Not an a FQDN')
-      datDns.emit('failed', {
-        method: 'dns-over-https',
-        name,
-        err: 'Name is not a FQDN'
+// the file cache and the server need node's fs and http modules, they are loaded when they are used
+function createFileCache (file, opts) {
+  return require('./file-cache')(file, opts)
+}
+
+function createServer (datDns, opts) {
+  return require('./server')(datDns, opts)
+}
+
+// create a signed .well-known record for `name`, signed with the archive's secret key
+function signWellKnownRecord ({ name, key, secretKey, expires, ttl, protocol }) {
+  if (!Number.isSafeInteger(expires)) throw new Error('expires must be a unix timestamp in seconds')
+  return [
+    (protocol || DAT_RECORD_NAME) + '://' + key,
+    'ttl=' + (typeof ttl === 'number' ? ttl : DEFAULT_DAT_DNS_TTL),
+    'expires=' + expires,
+    'signature=' + signature.sign(name, key, expires, secretKey)
+  ].join('\n')
+}
+
+// ask the providers of the pool in the order (or race) its mode calls for
+// resolves to the first successful response, or to the last failed one
+function fetchDnsOverHttpsRecord (datDns, name, providerPool, opts) {
+  // ensure the name is a FQDN
+  if (!name.includes('.')) {
+    debug('dns-over-https failed', name, 'Not an a FQDN')
+    datDns.emit('failed', {
+      method: 'dns-over-https',
+      name,
+      err: 'Name is not a FQDN'
+    })
+    return Promise.reject(createError('EINVALID', 'Domain is not a FQDN.'))
+  } else if (!name.endsWith('.')) {
+    name = name + '.'
+  }
+
+  var providers = providerPool.select()
+  var attempt = function (provider) {
+    var start = Date.now()
+    return fetchDnsOverHttpsProvider(name, provider, opts).then(function (res) {
+      res.provider = provider
+      if (res.statusCode === 200) {
+        providerPool.success(provider, Date.now() - start)
+      } else if (!isAbort(res.err)) {
+        debug('dns-over-https provider', provider.host, 'failed for name:', name, res.statusCode, res.err)
+        providerPool.failure(provider, res.err || new Error('HTTP code ' + res.statusCode))
+      }
+      return res
+    })
+  }
+
+  if (providerPool.mode === 'race') {
+    return new Promise(function (resolve) {
+      var remaining = providers.length
+      providers.forEach(function (provider) {
+        attempt(provider).then(function (res) {
+          remaining--
+          if (res.statusCode === 200 || remaining === 0) resolve(res)
+        })
       })
-      reject(new Error('Domain is not a FQDN.'))
-    } else if (!name.endsWith('.')) {
-      name = name + '.'
+    })
+  }
+
+  var i = 0
+  var next = function () {
+    return attempt(providers[i++]).then(function (res) {
+      if (res.statusCode === 200 || i >= providers.length || isAbort(res.err)) return res
+      return next()
+    })
+  }
+  return next()
+}
+
+function fetchDnsOverHttpsProvider (name, { host, port, path, format, method }, { dnssec, timeout, signal, transport }) {
+  return Promise.resolve().then(() => {
+    var isWire = format === 'wire'
+    var isPost = isWire && method === 'POST'
+    var message = isWire ? wire.encodeQuery(name, { dnssec }) : null
+    var query = isWire ? { dns: wire.toBase64Url(message) } : { name, type: 'TXT' }
+    if (!isWire && dnssec) {
+      // ask for DNSSEC records and validation
+      query.do = 1
+      query.cd = 0
     }
-    var query = {
-      name,
-      type: 'TXT'
+    var body = isPost ? message : null
+    debug('dns-over-https lookup for name:', name, 'at', host + ':' + port + path, isWire ? '(wire format)' : '')
+    var headers = isWire ? {
+      'Accept': 'application/dns-message'
+    } : {
+      // Cloudflare requires this exact header; luckily everyone else ignores it
+      'Accept': 'application/dns-json'
+    }
+    if (isPost) {
+      headers['Content-Type'] = 'application/dns-message'
+      headers['Content-Length'] = body.length
     }
-    debug('dns-over-https lookup for name:', name, 'at', host + ':' + port + path)
-    https.get({
+    return sendRequest(transport, {
       host,
       port,
-      path: `${path}?${stringify(query)}`,
-      // Cloudflare requires this exact header; luckily everyone else ignores it
-      headers: {
-        'Accept': 'application/dns-json'
-      },
-      timeout: 2000
-    }, function (res) {
-      res.setEncoding('utf-8')
-      res.pipe(concat(body => resolve({ statusCode: res.statusCode, body })))
-    }).on('error', function (err) {
-      resolve({ statusCode: 0, err, body: '' })
-    })
+      method: isPost ? 'POST' : 'GET',
+      path: isPost ? path : `${path}?${stringify(query)}`,
+      headers,
+      body,
+      encoding: isWire ? 'buffer' : 'string'
+    }, { timeout, signal })
   })
 }
 
-function parseDnsOverHttpsRecord (datDns, name, body, dnsTxtRegex) {
+// send a request with the transport
+// request.maxBytes limits the size of the response body
+// the request is cancelled when it takes longer than timeout ms, or when the signal aborts
+// resolves to {statusCode, headers, body}, or to {statusCode: 0, err, headers: {}, body: ''} if the request failed
+function sendRequest (transport, request, { timeout, signal }) {
+  timeout = typeof timeout === 'number' ? timeout : DEFAULT_TIMEOUT
+  return new Promise(function (resolve) {
+    var aborter = createAbortSource() // cancels the request in the transport
+    var timer = null
+    var stopListening = function () {}
+    var finish = function (res) {
+      clearTimeout(timer)
+      stopListening()
+      resolve(res)
+      finish = function () {}
+    }
+    var fail = function (err) {
+      finish({ statusCode: 0, err, headers: {}, body: '' })
+      aborter.abort()
+    }
+
+    if (signal && signal.aborted) return fail(abortError())
+    stopListening = onAbort(signal, function () { fail(abortError()) })
+    timer = setTimeout(function () {
+      fail(createError('ETIMEOUT', 'Request timed out after ' + timeout + 'ms'))
+    }, timeout)
+    Promise.resolve()
+      .then(function () { return transport(Object.assign({}, request, { timeout, signal: aborter.signal })) })
+      .then(function (res) {
+        if (request.maxBytes && res.body && byteLength(res.body) > request.maxBytes) {
+          return fail(createError('EINVALID', 'Response is larger than ' + request.maxBytes + ' bytes'))
+        }
+        finish({ statusCode: res.statusCode, headers: res.headers || {}, body: res.body })
+      }, fail)
+  })
+}
+
+// the size of a string (in UTF-8) or of a Buffer or Uint8Array body, without Buffer (which browsers lack)
+function byteLength (body) {
+  return typeof body === 'string' ? new TextEncoder().encode(body).length : body.length
+}
+
+// call fetch again while it fails for a reason that may pass, up to `retries` times
+// waits retryDelay ms before the first retry, doubled on every further retry, with jitter
+function withRetries (fetch, { retries, retryDelay, signal }) {
+  var attempt = 0
+  var next = function () {
+    return fetch().then(function (res) {
+      if (attempt >= retries || !isTransientFailure(res)) return res
+      var delay = (typeof retryDelay === 'number' ? retryDelay : DEFAULT_RETRY_DELAY) * Math.pow(2, attempt++)
+      delay = delay / 2 + Math.random() * delay / 2
+      debug('Retrying in', Math.round(delay), 'ms after', res.err || 'HTTP code ' + res.statusCode)
+      return sleep(delay, signal, abortError).then(next)
+    })
+  }
+  return next()
+}
+
+// timeouts, failed connections, rate limits and server errors may pass
+// a host that does not resolve will not
+function isTransientFailure (res) {
+  if (res.statusCode === 0) return !isAbort(res.err) && !(res.err && (res.err.code === 'ENOTFOUND' || res.err.code === 'EINVALID'))
+  return res.statusCode === 429 || res.statusCode >= 500
+}
+
+function parseDnsOverHttpsRecord (datDns, name, body, protocols, format) {
   // decode to obj
   var record
-  try {
-    record = JSON.parse(body)
-  } catch (e) {
-    debug('dns-over-https failed', name, 'did not give a valid JSON response', body)
+  if (format === 'wire') {
+    try {
+      record = wire.toJSON(wire.decodeMessage(body))
+    } catch (e) {
+      debug('dns-over-https failed', name, 'did not give a valid DNS message', e)
+      datDns.emit('failed', {
+        method: 'dns-over-https',
+        name,
+        err: 'Failed to decode DNS message: ' + e.message
+      })
+      throw createError('EINVALID', 'Invalid dns-over-https record, must provide a DNS message')
+    }
+  } else {
+    try {
+      record = JSON.parse(body)
+    } catch (e) {
+      debug('dns-over-https failed', name, 'did not give a valid JSON response', body)
+      datDns.emit('failed', {
+        method: 'dns-over-https',
+        name,
+        err: 'Failed to parse JSON response'
+      })
+      throw createError('EINVALID', 'Invalid dns-over-https record, must provide json')
+    }
+  }
+
+  // SERVFAIL and REFUSED are failures, NXDOMAIN is a negative answer
+  var status = record['Status']
+  if (typeof status === 'number' && status !== 0) {
+    let reason = status === 3 ? 'Domain does not exist' : 'DNS status ' + status
+    debug('dns-over-https failed', name, reason)
     datDns.emit('failed', {
       method: 'dns-over-https',
       name,
-      err: 'Failed to parse JSON response'
+      err: reason
     })
-    throw new Error('Invalid dns-over-https record, must provide json')
+    if (status === 3) throw notFound(reason, getNegativeTTL(record))
+    throw createError('ESERVFAIL', 'DNS server failed with status ' + status, { status })
   }
 
   // find valid answers
@@ -240,70 +1467,171 @@ function parseDnsOverHttpsRecord (datDns, name, body, dnsTxtRegex) {
       name,
       err: 'Did not give any TXT answers'
     })
-    throw new Error('Invalid dns-over-https record, no answers given')
+    throw notFound('No TXT records', getNegativeTTL(record))
   }
-  answers = answers.filter(a => {
-    if (!a || typeof a !== 'object') {
-      return false
-    }
-    if (typeof a.data !== 'string') {
-      return false
-    }
-    var match = dnsTxtRegex.exec(a.data)
-    if (!match) {
-      return false
-    }
-    a.key = match[1]
-    return true
+  var results = matchTxtAnswers(answers, protocols)
+  Object.keys(results).forEach(protocolName => {
+    results[protocolName].dnssec = record['AD'] === true
   })
-    // Open DNS servers are not consistent in the ordering of TXT entries.
-    // In order to have a consistent behavior we sort keys in case we find multiple.
-    .sort((a, b) => a.key < b.key ? 1 : a.key > b.key ? -1 : 0)
-  if (!answers[0]) {
+  if (Object.keys(results).length === 0) {
     debug('dns-over-https failed', name, 'did not give any TXT answers')
     datDns.emit('failed', {
       method: 'dns-over-https',
       name,
       err: 'Did not give any TXT answers'
     })
-    throw new Error('Invalid dns-over-https record, no TXT answer given')
+    throw notFound('No matching TXT record', getNegativeTTL(record))
   }
+  return results
+}
 
-  // put together res
-  var res = { key: answers[0].key, ttl: answers[0].TTL }
-  if (!Number.isSafeInteger(res.ttl) || res.ttl < 0) {
-    res.ttl = DEFAULT_DAT_DNS_TTL
-  }
-  if (res.ttl > MAX_DAT_DNS_TTL) {
-    res.ttl = MAX_DAT_DNS_TTL
-  }
-  return res
+// the TTL of a negative answer is the smaller of the TTL and the minimum field of its SOA record (RFC 2308)
+function getNegativeTTL (record) {
+  var soa = (record['Authority'] || []).filter(a => a && a.type === wire.TYPE_SOA && typeof a.data === 'string')[0]
+  if (!soa) return undefined
+  return Math.min(soa.TTL, +soa.data.trim().split(/\s+/)[6])
 }
 
-function fetchWellKnownRecord (name, recordName) {
+// match the TXT answers ({data, TTL}) of each protocol
+function matchTxtAnswers (answers, protocols) {
+  answers = answers.filter(a => a && typeof a === 'object' && typeof a.data === 'string')
+  var results = {}
+  protocols.forEach(protocol => {
+    var matches = answers.map(a => {
+      var match = protocol.txtRegex.exec(a.data)
+      return match ? { key: match[1], TTL: a.TTL } : null
+    }).filter(Boolean)
+      // Open DNS servers are not consistent in the ordering of TXT entries.
+      // In order to have a consistent behavior we sort keys in case we find multiple.
+      .sort((a, b) => a.key < b.key ? 1 : a.key > b.key ? -1 : 0)
+    if (matches[0]) {
+      results[protocol.name] = { key: matches[0].key, ttl: clampTTL(matches[0].TTL) }
+    }
+  })
+  return results
+}
+
+// browser bundles replace node's dns module with an empty object
+function hasSystemDns () {
+  return typeof require('dns').Resolver === 'function'
+}
+
+// the timeout applies to each try, the resolver's defaults are used unless timeout or retries are given
+// (node < 16 ignores both)
+function fetchSystemDnsRecord (name, servers, { timeout, retries, signal }) {
   return new Promise((resolve, reject) => {
-    debug('.well-known/dat lookup for name:', name)
-    https.get({
-      host: name,
-      path: '/.well-known/' + recordName,
-      timeout: 2000
-    }, function (res) {
-      res.setEncoding('utf-8')
-      res.pipe(concat(body => resolve({ statusCode: res.statusCode, body })))
-    }).on('error', function (err) {
-      resolve({ statusCode: 0, err, body: '' })
+    if (signal && signal.aborted) return reject(abortError())
+    if (!hasSystemDns()) return reject(new Error('The system DNS is not available'))
+    var dns = require('dns')
+    var resolver = new dns.Resolver({ timeout, tries: retries ? retries + 1 : undefined })
+    if (servers) resolver.setServers(servers)
+    debug('system dns lookup for name:', name, servers ? 'at ' + servers.join(', ') : '')
+    var stopListening = onAbort(signal, function () { resolver.cancel() })
+    resolver.resolveTxt(name, function (err, records) {
+      stopListening()
+      if (signal && signal.aborted) reject(abortError())
+      else if (err) reject(err)
+      else resolve(records)
     })
   })
 }
 
-function parseWellknownDatRecord (datDns, name, body, protocolRegex, recordName) {
+function parseSystemDnsRecord (datDns, name, records, protocols) {
+  // each record is a list of character-strings, which are joined again
+  // (the OS resolver does not report TTLs, so these use the default TTL)
+  var answers = records.map(chunks => ({ data: chunks.join('') }))
+  var results = matchTxtAnswers(answers, protocols)
+  if (Object.keys(results).length === 0) {
+    debug('system dns failed', name, 'did not give any TXT answers')
+    datDns.emit('failed', {
+      method: 'system-dns',
+      name,
+      err: 'Did not give any TXT answers'
+    })
+    throw notFound('No matching TXT record')
+  }
+  return results
+}
+
+function clampTTL (ttl) {
+  if (!Number.isSafeInteger(ttl) || ttl < 0) {
+    ttl = DEFAULT_DAT_DNS_TTL
+  }
+  if (ttl > MAX_DAT_DNS_TTL) {
+    ttl = MAX_DAT_DNS_TTL
+  }
+  return ttl
+}
+
+// follows up to maxRedirects redirects to HTTPS URLs on the same registrable domain
+// a redirect to any other URL, or too many redirects, fail with EINVALID
+function fetchWellKnownRecord (name, recordName, { timeout, signal, transport, maxRedirects, maxBytes }) {
+  debug('.well-known/' + recordName + ' lookup for name:', name)
+  var hops = 0
+  var fetch = function (host, port, path) {
+    return sendRequest(transport, {
+      host,
+      port,
+      method: 'GET',
+      path,
+      headers: {},
+      body: null,
+      encoding: 'string',
+      maxBytes
+    }, { timeout, signal }).then(function (res) {
+      if (REDIRECT_CODES.indexOf(res.statusCode) === -1) return res
+      var from = 'https://' + host + (port !== 443 ? ':' + port : '') + path
+      var to = res.headers.location ? url.parse(url.resolve(from, res.headers.location)) : null
+      var reason
+      if (!to) {
+        reason = 'Redirect without a location'
+      } else if (to.protocol !== 'https:') {
+        reason = 'Redirect to ' + to.href + ' is not HTTPS'
+      } else if (!to.hostname || getRegistrableDomain(to.hostname) !== getRegistrableDomain(name)) {
+        reason = 'Redirect to ' + to.href + ' leaves ' + getRegistrableDomain(name)
+      } else if (hops >= maxRedirects) {
+        reason = 'Too many redirects'
+      }
+      if (reason) {
+        debug('.well-known/' + recordName + ' lookup failed for name:', name, reason)
+        return { statusCode: 0, err: createError('EINVALID', reason), headers: {}, body: '' }
+      }
+      hops++
+      debug('.well-known/' + recordName + ' redirected to', to.href)
+      return fetch(to.hostname, to.port ? +to.port : 443, to.path)
+    })
+  }
+  return fetch(name, 443, '/.well-known/' + recordName)
+}
+
+// the registrable domain of a host by the public suffix list: example.co.uk for www.example.co.uk,
+// and victim.github.io for victim.github.io (github.io is a public suffix, so its sites are separate domains)
+// IP addresses and hosts without a registrable domain (localhost, public suffixes) are only their own domain
+function getRegistrableDomain (host) {
+  host = host.toLowerCase().replace(/\.$/, '')
+  if (/^[\d.]+$/.test(host) || host.includes(':')) return host // an IP address
+  return psl.get(host) || host
+}
+
+// the TTL of a Cache-Control header: 0 if the response may not be cached, undefined if it does not say
+function parseCacheControl (header) {
+  if (!header) return undefined
+  if (/(^|,)\s*(no-store|no-cache)\s*(,|$)/i.test(header)) return 0
+  var match = /(^|,)\s*max-age=(\d+)\s*(,|$)/i.exec(header)
+  return match ? +match[2] : undefined
+}
+
+function parseWellknownDatRecord (datDns, name, body, protocol, fallbackTtl) {
+  var protocolRegex = protocol.protocolRegex
+  var recordName = protocol.recordName
   if (!body || typeof body !== 'string') {
     datDns.emit('failed', {
       method: 'well-known',
+      protocol: protocol.name,
       name,
       err: 'Empty response'
     })
-    throw new Error('DNS record not found')
+    throw createError('EINVALID', 'Empty .well-known/' + recordName + ' record')
   }
 
   const lines = body.split('\n')
@@ -316,10 +1644,11 @@ function parseWellknownDatRecord (datDns, name, body, protocolRegex, recordName)
     debug('.well-known/' + recordName + ' failed', name, 'must conform to ' + protocolRegex)
     datDns.emit('failed', {
       method: 'well-known',
+      protocol: protocol.name,
       name,
       err: 'Record did not conform to ' + protocolRegex
     })
-    throw new Error('Invalid .well-known/' + recordName + ' record, must conform to' + protocolRegex)
+    throw createError('EINVALID', 'Invalid .well-known/' + recordName + ' record, must conform to' + protocolRegex)
   }
 
   // parse ttl
@@ -330,17 +1659,111 @@ function parseWellknownDatRecord (datDns, name, body, protocolRegex, recordName)
   } catch (e) {
     datDns.emit('failed', {
       method: 'well-known',
+      protocol: protocol.name,
       name,
       err: 'Failed to parse TTL line, error: ' + e.toString()
     })
     debug('.well-known/' + recordName + ' failed to parse TTL for %s, line: %s, error:', name, lines[1], e)
   }
-  if (!Number.isSafeInteger(ttl) || ttl < 0) {
-    ttl = DEFAULT_DAT_DNS_TTL
+
+  // parse the optional signature lines
+  var signatureExpires, signature
+  lines.slice(1).forEach(line => {
+    var match = /^(expires|signature)=(\S+)$/i.exec(line.trim())
+    if (!match) return
+    if (match[1].toLowerCase() === 'expires') signatureExpires = +match[2]
+    else signature = match[2]
+  })
+  return { key, ttl: clampTTL(ttl !== undefined ? ttl : fallbackTtl), signatureExpires, signature }
+}
+
+// parse a JSON .well-known record, which may hold the keys of several protocols:
+// {"keys": {"dat": "dat://{key}", "hyper": "{key}"}, "ttl": 3600, "version": "5", "title": "...", "url": "https://...",
+//  "expires": {unix time in seconds}, "signatures": {"dat": "{hex signature}"}}
+// returns a map of protocol name -> {key, ttl, version, metadata, signatureExpires, signature}, which has the key of protocol
+function parseWellKnownJsonRecord (datDns, name, body, protocol, protocols, fallbackTtl) {
+  var recordName = protocol.recordName
+  var record
+  try {
+    record = JSON.parse(body)
+  } catch (e) {
+    record = null
   }
-  if (ttl > MAX_DAT_DNS_TTL) {
-    ttl = MAX_DAT_DNS_TTL
+  if (!record || typeof record !== 'object' || !record.keys || typeof record.keys !== 'object') {
+    debug('.well-known/' + recordName + ' failed', name, 'is not a JSON record with keys')
+    datDns.emit('failed', {
+      method: 'well-known',
+      protocol: protocol.name,
+      name,
+      err: 'Invalid JSON record'
+    })
+    throw createError('EINVALID', 'Invalid .well-known/' + recordName + ' record, must be JSON with a keys object')
+  }
+
+  var ttl = clampTTL(Number.isSafeInteger(record.ttl) ? record.ttl : fallbackTtl)
+  var version = typeof record.version === 'string' || typeof record.version === 'number' ? String(record.version) : null
+  var metadata = Object.freeze({
+    title: typeof record.title === 'string' ? record.title : null,
+    url: typeof record.url === 'string' && /^https?:\/\//i.test(record.url) ? record.url : null
+  })
+  var signatures = record.signatures && typeof record.signatures === 'object' ? record.signatures : {}
+  var results = {}
+  protocols.forEach(p => {
+    var value = record.keys[p.name]
+    if (typeof value !== 'string') return
+    var match = p.protocolRegex.exec(value)
+    var key = match ? match[1] : p.hashRegex.test(value) ? value.slice(0, 64) : null
+    if (!key) {
+      debug('.well-known/' + recordName + ' has an invalid', p.name, 'key for', name)
+      return
+    }
+    results[p.name] = {
+      key,
+      ttl,
+      version,
+      metadata,
+      signatureExpires: record.expires,
+      signature: typeof signatures[p.name] === 'string' ? signatures[p.name] : undefined
+    }
+  })
+
+  if (!results[protocol.name]) {
+    debug('.well-known/' + recordName + ' failed', name, 'has no', protocol.name, 'key')
+    datDns.emit('failed', {
+      method: 'well-known',
+      protocol: protocol.name,
+      name,
+      err: 'No ' + protocol.name + ' key in JSON record'
+    })
+    throw notFound('No ' + protocol.name + ' key in .well-known/' + recordName)
   }
+  return results
+}
 
-  return { key, ttl }
+// verify the signature of a parsed .well-known record, throws if it is missing, expired or wrong
+function verifyWellKnownSignature (datDns, name, res, protocol) {
+  var recordName = protocol.recordName
+  var reason
+  if (!res.signature || !Number.isSafeInteger(res.signatureExpires)) {
+    reason = 'Missing'
+  } else if (res.signatureExpires * 1000 <= Date.now()) {
+    reason = 'Expired'
+  } else if (!signature.verify(name, res.key, res.signatureExpires, res.signature)) {
+    reason = 'Invalid'
+  }
+  if (reason) {
+    debug('.well-known/' + recordName + ' failed', name, reason.toLowerCase(), 'signature')
+    datDns.emit('failed', {
+      method: 'well-known',
+      protocol: protocol.name,
+      name,
+      err: reason + ' signature'
+    })
+    throw createError('ESIGNATURE', reason + ' .well-known/' + recordName + ' signature')
+  }
+
+  // dont cache the record beyond its signature
+  res.ttl = Math.min(res.ttl, Math.floor(res.signatureExpires - Date.now() / 1000))
+  res.signed = true
+  return res
 }
@@ -0,0 +1,51 @@
+const url = require('url')
+const { createError } = require('./errors')
+
+const SCHEME_REGEX = /^[a-z][a-z0-9+.-]*:\/\//i
+const LABEL_REGEX = /^[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?$/
+const MAX_NAME_LENGTH = 253
+const MAX_LABEL_LENGTH = 63
+
+exports.parseName = parseName
+
+// normalize a name, a `{scheme}://` url or a key, with an optional `+version` suffix
+// returns {name, version}, where name is the lowercase punycode hostname
+// (without a port, path or trailing dot) or the key as it was given
+// isKey(name) tells keys apart from hostnames, keys are not normalized
+// throws an EINVALID error if the hostname has invalid labels
+function parseName (input, isKey) {
+  if (typeof input !== 'string') throw invalidName(input, 'must be a string')
+  var host = input.trim()
+    .replace(SCHEME_REGEX, '')
+    .split(/[/?#]/)[0]
+  host = host.slice(host.lastIndexOf('@') + 1) // user info
+
+  var version = null
+  var i = host.indexOf('+')
+  if (i !== -1) {
+    version = host.slice(i + 1) || null
+    host = host.slice(0, i)
+  }
+  host = host.replace(/:\d*$/, '').replace(/\.$/, '')
+  if (!host) throw invalidName(input, 'has no hostname')
+  if (isKey && isKey(host)) return { name: host, version }
+
+  var name = toASCII(host)
+  if (!name) throw invalidName(input, 'is not a valid domain name')
+  if (name.length > MAX_NAME_LENGTH) throw invalidName(input, 'is longer than ' + MAX_NAME_LENGTH + ' characters')
+  name.split('.').forEach(function (label) {
+    if (label.length > MAX_LABEL_LENGTH) throw invalidName(input, 'has a label longer than ' + MAX_LABEL_LENGTH + ' characters')
+    if (!LABEL_REGEX.test(label)) throw invalidName(input, 'has an invalid label "' + label + '"')
+  })
+  return { name, version }
+}
+
+// IDNA (punycode) conversion, bundlers may provide a url module without domainToASCII()
+function toASCII (host) {
+  if (typeof url.domainToASCII === 'function') return url.domainToASCII(host)
+  return /^[\x21-\x7e]*$/.test(host) ? host.toLowerCase() : ''
+}
+
+function invalidName (input, reason) {
+  return createError('EINVALID', 'Invalid name ' + JSON.stringify(String(input)) + ': ' + reason)
+}
@@ -0,0 +1,117 @@
+const debug = require('debug')('dat')
+
+const MODES = ['failover', 'race', 'round-robin']
+const DEFAULT_BACKOFF_FAILURES = 3 // consecutive failures before a provider is backed off
+const DEFAULT_BACKOFF_SECONDS = 30
+const DEFAULT_MAX_BACKOFF_SECONDS = 60 * 10 // 10min
+const SCORE_WEIGHT = 0.2 // weight of the latest request in the health score
+
+module.exports = createProviderPool
+
+// normalize a provider given as [host, port, path] or {host, port, path}
+function toProvider (provider) {
+  if (Array.isArray(provider)) {
+    provider = { host: provider[0], port: provider[1], path: provider[2] }
+  }
+  if (!provider || typeof provider !== 'object' || !provider.host || !provider.path) {
+    throw new Error('DNS providers must be given as [host, port, path] or {host, port, path}')
+  }
+  return Object.assign({}, provider, { port: provider.port || 443 })
+}
+
+// keeps the health of a list of DNS-over-HTTPS providers and picks
+// the order in which they are asked
+function createProviderPool (providers, opts) {
+  opts = opts || {}
+  var mode = opts.mode || 'failover'
+  if (MODES.indexOf(mode) === -1) { throw new Error('opts.dnsMode must be one of ' + MODES.join(', ')) }
+  if (!Array.isArray(providers) || providers.length === 0) { throw new Error('opts.dnsProviders must be a non-empty array') }
+  var backoffFailures = opts.backoffFailures || DEFAULT_BACKOFF_FAILURES
+  var backoffSeconds = opts.backoffSeconds || DEFAULT_BACKOFF_SECONDS
+  var maxBackoffSeconds = opts.maxBackoffSeconds || DEFAULT_MAX_BACKOFF_SECONDS
+  var next = 0
+
+  var entries = providers.map(function (provider) {
+    return {
+      provider: toProvider(provider),
+      score: 1,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      backoffUntil: 0,
+      latency: null,
+      lastError: null
+    }
+  })
+
+  function find (provider) {
+    return entries.find(function (entry) { return entry.provider === provider })
+  }
+
+  // the providers to ask, in order; providers that are backed off are asked last
+  // races only ask the healthy providers, or every provider if none is healthy
+  function select () {
+    var now = Date.now()
+    var ordered = entries
+    if (mode === 'round-robin') {
+      ordered = entries.slice(next).concat(entries.slice(0, next))
+      next = (next + 1) % entries.length
+    }
+    var healthy = ordered.filter(function (entry) { return entry.backoffUntil <= now })
+    var backedOff = ordered.filter(function (entry) { return entry.backoffUntil > now })
+      .sort(function (a, b) { return a.backoffUntil - b.backoffUntil })
+    if (mode === 'race' && healthy.length) backedOff = []
+    return healthy.concat(backedOff).map(function (entry) { return entry.provider })
+  }
+
+  function success (provider, latency) {
+    var entry = find(provider)
+    if (!entry) return
+    entry.successes++
+    entry.consecutiveFailures = 0
+    entry.backoffUntil = 0
+    entry.score = entry.score * (1 - SCORE_WEIGHT) + SCORE_WEIGHT
+    entry.latency = entry.latency === null ? latency : Math.round(entry.latency * (1 - SCORE_WEIGHT) + latency * SCORE_WEIGHT)
+  }
+
+  function failure (provider, err) {
+    var entry = find(provider)
+    if (!entry) return
+    entry.failures++
+    entry.consecutiveFailures++
+    entry.score = entry.score * (1 - SCORE_WEIGHT)
+    entry.lastError = err ? String(err.message || err) : null
+    if (entry.consecutiveFailures >= backoffFailures) {
+      let seconds = Math.min(maxBackoffSeconds, backoffSeconds * Math.pow(2, entry.consecutiveFailures - backoffFailures))
+      entry.backoffUntil = Date.now() + seconds * 1000
+      debug('dns-over-https provider', provider.host, 'backed off for', seconds, 'seconds')
+    }
+  }
+
+  function stats () {
+    var now = Date.now()
+    return entries.map(function (entry) {
+      return {
+        host: entry.provider.host,
+        port: entry.provider.port,
+        path: entry.provider.path,
+        score: entry.score,
+        successes: entry.successes,
+        failures: entry.failures,
+        consecutiveFailures: entry.consecutiveFailures,
+        backedOff: entry.backoffUntil > now,
+        backoffUntil: entry.backoffUntil > now ? entry.backoffUntil : null,
+        latency: entry.latency,
+        lastError: entry.lastError
+      }
+    })
+  }
+
+  return {
+    mode,
+    select,
+    success,
+    failure,
+    stats
+  }
+}
@@ -0,0 +1,145 @@
+const http = require('http')
+const https = require('https')
+const url = require('url')
+const debug = require('debug')('dat')
+const { TYPE_TXT, TYPE_SOA } = require('./wire')
+const { createAbortSource } = require('./abort')
+const { isNegative, isAbort } = require('./errors')
+
+const STATUS_NOERROR = 0
+const STATUS_FORMERR = 1
+const STATUS_SERVFAIL = 2
+const STATUS_NOTIMP = 4
+const HTTP_STATUS_CODES = { ENOTFOUND: 404, EINVALID: 400, ETIMEOUT: 504 }
+
+module.exports = createServer
+
+// an HTTP server (HTTPS with opts.tls) that answers with the keys and the cache of a datDns instance:
+//   GET /dns-query?name={name}&type=TXT  a DNS-over-HTTPS JSON answer with a `{protocol}key={key}` TXT record per protocol
+//   GET /resolve/{name}?protocol={protocol}  the resolution record of resolve()
+// the server is not listening yet
+function createServer (datDns, opts) {
+  opts = opts || {}
+  var handler = function (req, res) {
+    Promise.resolve().then(function () {
+      return handleRequest(datDns, req, res)
+    }).catch(function (err) {
+      debug('Server failed to answer', req.url, err)
+      if (!res.headersSent) send(res, 500, { error: { message: err.message } })
+    })
+  }
+  return opts.tls ? https.createServer(opts.tls, handler) : http.createServer(handler)
+}
+
+function handleRequest (datDns, req, res) {
+  var parsed = url.parse(req.url, true)
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET')
+    return Promise.resolve(send(res, 405, { error: { message: 'Method not allowed' } }))
+  }
+
+  // lookups of clients that went away are aborted
+  var aborter = createAbortSource()
+  var finished = false
+  res.on('finish', function () { finished = true })
+  res.on('close', function () {
+    if (!finished) aborter.abort()
+  })
+
+  if (parsed.pathname === '/dns-query') {
+    return answerDnsQuery(datDns, parsed.query, aborter.signal, res)
+  }
+  if (parsed.pathname.indexOf('/resolve/') === 0) {
+    let name
+    try {
+      name = decodeURIComponent(parsed.pathname.slice('/resolve/'.length))
+    } catch (err) {
+      return Promise.resolve(send(res, 400, { error: { code: 'EINVALID', message: 'Malformed name' } }))
+    }
+    return answerResolve(datDns, name, parsed.query, aborter.signal, res)
+  }
+  return Promise.resolve(send(res, 404, { error: { message: 'Not found' } }))
+}
+
+// answer in the JSON dialect of DNS-over-HTTPS providers, which parseDnsOverHttpsRecord() reads
+function answerDnsQuery (datDns, params, signal, res) {
+  var type = (params.type || 'TXT').toUpperCase()
+  var name
+  try {
+    name = datDns.normalizeName(params.name || '').name
+  } catch (err) {
+    return Promise.resolve(send(res, 400, { Status: STATUS_FORMERR, Comment: err.message }))
+  }
+  var answer = {
+    Status: STATUS_NOERROR,
+    TC: false,
+    RD: true,
+    RA: true,
+    AD: false,
+    CD: false,
+    Question: [{ name: name + '.', type: TYPE_TXT }]
+  }
+  if (type !== 'TXT' && type !== String(TYPE_TXT)) {
+    answer.Status = STATUS_NOTIMP
+    answer.Comment = 'Only TXT records are served'
+    return Promise.resolve(send(res, 200, answer, 'application/dns-json'))
+  }
+
+  return datDns.resolveAll(name, { signal }).then(function (keys) {
+    // the records give the TTL and DNSSEC status of each key
+    return Promise.all(Object.keys(keys).map(function (protocolName) {
+      return datDns.resolve(name, { protocol: protocolName, signal }).catch(function () {
+        return { protocol: protocolName, key: keys[protocolName], ttl: null, dnssec: null }
+      })
+    }))
+  }).then(function (records) {
+    answer.AD = records.every(function (record) { return record.dnssec === true })
+    answer.Answer = records.map(function (record) {
+      return {
+        name: name + '.',
+        type: TYPE_TXT,
+        TTL: typeof record.ttl === 'number' ? record.ttl : 0,
+        data: '"' + record.protocol + 'key=' + record.key + '"'
+      }
+    })
+    var ttl = Math.min.apply(Math, answer.Answer.map(function (a) { return a.TTL }))
+    send(res, 200, answer, 'application/dns-json', ttl)
+  }, function (err) {
+    if (isAbort(err)) return
+    if (isNegative(err)) {
+      // no answer, with the negative TTL as the SOA minimum (RFC 2308)
+      answer.Authority = [{
+        name: name + '.',
+        type: TYPE_SOA,
+        TTL: err.negativeTtl,
+        data: 'localhost. hostmaster.localhost. 1 3600 600 86400 ' + err.negativeTtl
+      }]
+      send(res, 200, answer, 'application/dns-json', err.negativeTtl)
+      return
+    }
+    answer.Status = STATUS_SERVFAIL
+    answer.Comment = err.message
+    send(res, 200, answer, 'application/dns-json')
+  })
+}
+
+function answerResolve (datDns, name, params, signal, res) {
+  var protocol = params.protocol || undefined
+  return datDns.resolve(name, { protocol, signal }).then(function (record) {
+    send(res, 200, record, 'application/json', record.ttl)
+  }, function (err) {
+    if (isAbort(err)) return
+    var statusCode = HTTP_STATUS_CODES[err.code] || (err.code ? 502 : 500)
+    send(res, statusCode, { error: { code: err.code || null, message: err.message } })
+  })
+}
+
+// ttl (in seconds) sets the max-age of the response
+function send (res, statusCode, body, contentType, ttl) {
+  var text = JSON.stringify(body)
+  res.statusCode = statusCode
+  res.setHeader('Content-Type', contentType || 'application/json')
+  res.setHeader('Content-Length', Buffer.byteLength(text))
+  res.setHeader('Cache-Control', typeof ttl === 'number' && ttl > 0 ? 'max-age=' + ttl : 'no-store')
+  res.end(text)
+}
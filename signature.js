@@ -0,0 +1,47 @@
+// ed25519 signatures of .well-known records, made with the archive's own keypair
+// the archive key is the raw public key; node's crypto wants it wrapped in DER
+// crypto and Buffer are only used when signing or verifying, so the module loads in browsers
+// (where every signature fails to verify)
+
+const SPKI_PREFIX = '302a300506032b6570032100'
+const PKCS8_PREFIX = '302e020100300506032b657004220420'
+
+exports.payload = payload
+exports.sign = sign
+exports.verify = verify
+
+// the signed message: name, key and expiry (unix seconds) on separate lines
+function payload (name, key, expires) {
+  return Buffer.from(name.toLowerCase() + '\n' + key.toLowerCase() + '\n' + expires, 'utf-8')
+}
+
+// sign with the archive's secret key, given as a 64 byte (libsodium) secret key or 32 byte seed
+// returns the signature as hex
+function sign (name, key, expires, secretKey) {
+  if (typeof secretKey === 'string') secretKey = Buffer.from(secretKey, 'hex')
+  if (!Buffer.isBuffer(secretKey) || (secretKey.length !== 64 && secretKey.length !== 32)) {
+    throw new Error('secretKey must be a 64 byte secret key or a 32 byte seed')
+  }
+  var crypto = require('crypto')
+  var privateKey = crypto.createPrivateKey({
+    key: Buffer.concat([Buffer.from(PKCS8_PREFIX, 'hex'), secretKey.slice(0, 32)]),
+    format: 'der',
+    type: 'pkcs8'
+  })
+  return crypto.sign(null, payload(name, key, expires), privateKey).toString('hex')
+}
+
+// verify a hex signature against the hex archive key
+function verify (name, key, expires, signature) {
+  try {
+    var crypto = require('crypto')
+    var publicKey = crypto.createPublicKey({
+      key: Buffer.from(SPKI_PREFIX + key, 'hex'),
+      format: 'der',
+      type: 'spki'
+    })
+    return crypto.verify(null, payload(name, key, expires), publicKey, Buffer.from(signature, 'hex'))
+  } catch (e) {
+    return false
+  }
+}
@@ -0,0 +1,97 @@
+const fs = require('fs')
+const debug = require('debug')('dat')
+const { parseName } = require('./names')
+
+const WATCH_INTERVAL_MS = 1000
+
+module.exports = createStaticNames
+
+// names that map to fixed keys, given as a map of name -> key (or {key, ttl})
+// or as the path of a hosts-style file of `name key [ttl]` lines, which is reloaded when it changes
+function createStaticNames (source, opts) {
+  opts = opts || {}
+  var hashRegex = opts.hashRegex
+  var names = new Map() // normalized name -> {key, ttl}
+  var file = null
+  var onChange = null
+
+  function add (name, key, ttl, where) {
+    if (typeof key !== 'string' || (hashRegex && !hashRegex.test(key))) {
+      debug('Ignoring static name with an invalid key', name, key, where)
+      return
+    }
+    try {
+      name = parseName(name).name
+    } catch (err) {
+      debug('Ignoring static name', err.message, where)
+      return
+    }
+    names.set(name, { key: key.slice(0, 64), ttl: typeof ttl === 'number' ? ttl : null })
+  }
+
+  function parse (text) {
+    names.clear()
+    text.split('\n').forEach(function (line, i) {
+      line = line.replace(/#.*$/, '').trim()
+      if (!line) return
+      var parts = line.split(/\s+/)
+      var ttl = parts[2] !== undefined ? Number(parts[2]) : undefined
+      if (parts.length > 3 || (ttl !== undefined && !Number.isSafeInteger(ttl))) {
+        debug('Ignoring malformed line', i + 1, 'of', file)
+        return
+      }
+      add(parts[0], parts[1], ttl, file + ':' + (i + 1))
+    })
+  }
+
+  function reload () {
+    fs.readFile(file, 'utf-8', function (err, text) {
+      if (err) {
+        debug('Failed to reload static names from', file, err)
+        if (err.code === 'ENOENT') names.clear()
+        return
+      }
+      debug('Reloaded static names from', file)
+      parse(text)
+    })
+  }
+
+  if (typeof source === 'string') {
+    file = source
+    try {
+      parse(fs.readFileSync(file, 'utf-8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+      debug('Static names file does not exist yet', file)
+    }
+    onChange = function (curr, prev) {
+      if (curr.mtimeMs !== prev.mtimeMs || curr.size !== prev.size) reload()
+    }
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, onChange)
+  } else if (source && typeof source === 'object') {
+    Object.keys(source).forEach(function (name) {
+      var value = source[name]
+      if (value && typeof value === 'object') add(name, value.key, value.ttl, 'opts.staticNames')
+      else add(name, value, undefined, 'opts.staticNames')
+    })
+  } else {
+    throw new Error('opts.staticNames must be an object or the path of a file')
+  }
+
+  // returns {key, ttl} where ttl may be null, or undefined if the name is not static
+  // name must be normalized
+  function get (name) {
+    return names.get(name)
+  }
+
+  // stop watching the file (other watchers of the same file are left alone)
+  function close () {
+    if (onChange) fs.unwatchFile(file, onChange)
+    onChange = null
+  }
+
+  return {
+    get,
+    close
+  }
+}
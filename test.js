@@ -1,5 +1,15 @@
 var tape = require('tape')
+var dgram = require('dgram')
+var net = require('net')
+var http = require('http')
+var EventEmitter = require('events')
+var crypto = require('crypto')
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
 var createDatDNS = require('./index')
+var wire = require('./wire')
+var signature = require('./signature')
 var datDns = createDatDNS()
 var cabalDns = createDatDNS({
     hashRegex: /^[0-9a-f]{64}?$/i,
@@ -197,8 +207,1435 @@ tape('Successful test against dns-test-setup.dat-ecosystem.org (no well-known/da
   })
 })
 
+tape('Resolve all protocols of a name at once', function (t) {
+  var multiDns = createDatDNS({
+    protocols: {
+      dat: {},
+      cabal: {}
+    }
+  })
+  multiDns.resolveAll('dns-test-setup.dat-ecosystem.org', {noWellknownDat: true}, function (err, keys) {
+    t.error(err)
+    t.equal(keys.dat, '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444')
+    t.notOk(keys.cabal)
+
+    multiDns.resolveName('dns-test-setup.dat-ecosystem.org', {protocol: 'dat', noDnsOverHttps: true, noWellknownDat: true}).then(function (key) {
+      t.equal(key, keys.dat, 'cached per protocol')
+      t.end()
+    }).catch(function (err) {
+      t.error(err)
+      t.end()
+    })
+  })
+})
+
+tape('Resolve all protocols works for keys', function (t) {
+  var multiDns = createDatDNS({
+    protocols: {
+      dat: {},
+      cabal: {}
+    }
+  })
+  multiDns.resolveAll('40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9', function (err, keys) {
+    t.error(err)
+    t.deepEqual(keys, {
+      dat: '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9',
+      cabal: '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+    })
+    t.end()
+  })
+})
+
+tape('Unknown protocols fail', function (t) {
+  datDns.resolveName('pfrazee.hashbase.io', {protocol: 'unknown'}, function (err, name) {
+    t.ok(err)
+    t.equal(err && err.code, 'EINVALID')
+    t.notOk(name)
+    t.end()
+  })
+})
+
+tape('Resolve to a full record', function (t) {
+  datDns.resolve('dns-test-setup.dat-ecosystem.org+5', {noWellknownDat: true, ignoreCache: true}, function (err, record) {
+    t.error(err)
+    t.equal(record.name, 'dns-test-setup.dat-ecosystem.org')
+    t.equal(record.key, '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444')
+    t.equal(record.version, '5')
+    t.equal(record.method, 'dns-over-https')
+    t.ok(record.ttl > 0)
+    t.ok(record.expires > Date.now())
+    t.ok(record.provider)
+
+    datDns.resolve('dns-test-setup.dat-ecosystem.org').then(function (record2) {
+      t.equal(record2.key, record.key)
+      t.equal(record2.method, 'cache')
+      t.equal(record2.version, null)
+      t.end()
+    }).catch(function (err) {
+      t.error(err)
+      t.end()
+    })
+  })
+})
+
+tape('Resolve keys to a full record', function (t) {
+  datDns.resolve('40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9+5', function (err, record) {
+    t.error(err)
+    t.equal(record.key, '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9')
+    t.equal(record.version, '5')
+    t.equal(record.method, 'hash')
+    t.end()
+  })
+})
+
+tape('Fail over to the next DNS-over-HTTPS provider', function (t) {
+  var dns = createDatDNS({
+    dnsProviders: [['doh.invalid', 443, '/dns-query']].concat(createDatDNS.DEFAULT_DNS_PROVIDERS)
+  })
+  dns.resolve('dns-test-setup.dat-ecosystem.org', {noWellknownDat: true}, function (err, record) {
+    t.error(err)
+    t.equal(record.key, '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444')
+    t.notEqual(record.provider, 'doh.invalid')
+
+    var stats = dns.getProviderStats()
+    t.equal(stats[0].host, 'doh.invalid')
+    t.equal(stats[0].failures, 1)
+    t.ok(stats[0].score < 1)
+    t.end()
+  })
+})
+
+tape('Back off failing DNS-over-HTTPS providers', function (t) {
+  var dns = createDatDNS({
+    dnsProviders: [['doh1.invalid', 443, '/dns-query'], ['doh2.invalid', 443, '/dns-query']],
+    dnsMode: 'race',
+    dnsBackoffFailures: 1
+  })
+  dns.resolveName('dns-test-setup.dat-ecosystem.org', {noWellknownDat: true}, function (err, key) {
+    t.ok(err)
+    t.notOk(key)
+
+    var stats = dns.getProviderStats()
+    t.equal(stats.length, 2)
+    stats.forEach(function (provider) {
+      t.equal(provider.failures, 1)
+      t.ok(provider.backedOff)
+      t.ok(provider.backoffUntil > Date.now())
+    })
+    t.end()
+  })
+})
+
+tape('Skip backed off providers in race mode', function (t) {
+  var key = '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444'
+  var requests = {'doh1.example': 0, 'doh2.example': 0}
+  var dns = createDatDNS({
+    dnsProviders: [['doh1.example', 443, '/dns-query'], ['doh2.example', 443, '/dns-query']],
+    dnsMode: 'race',
+    dnsBackoffFailures: 1,
+    methods: ['dns-over-https'],
+    transport: function (request) {
+      requests[request.host]++
+      if (request.host === 'doh1.example') return Promise.resolve({statusCode: 500, body: ''})
+      return Promise.resolve({statusCode: 200, body: JSON.stringify({Status: 0, Answer: [{name: 'foo.example.', type: 16, TTL: 60, data: 'datkey=' + key}]})})
+    }
+  })
+  var lookups = Promise.resolve()
+  for (var i = 0; i < 5; i++) {
+    lookups = lookups.then(function () {
+      return dns.resolveName('foo.example', {ignoreCache: true})
+    }).then(function (res) {
+      t.equal(res, key)
+    })
+  }
+  lookups.then(function () {
+    t.ok(dns.getProviderStats()[0].backedOff)
+    t.deepEqual(requests, {'doh1.example': 1, 'doh2.example': 5}, 'the backed off provider is not asked again')
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Encode and decode DNS messages', function (t) {
+  var query = wire.decodeMessage(wire.encodeQuery('dns-test-setup.dat-ecosystem.org.'))
+  t.equal(query.id, 0)
+  t.ok(query.flags.rd)
+  t.deepEqual(query.questions, [{name: 'dns-test-setup.dat-ecosystem.org.', type: wire.TYPE_TXT, class: 1}])
+
+  // a response with a compressed name and a TXT record split over two strings
+  var txt1 = Buffer.from('datkey=444231b5589a5099aa3610a8ee550dcd')
+  var txt2 = Buffer.from('454c3e33f4cac93b7d41b6b850cde444')
+  var response = Buffer.concat([
+    Buffer.from('000081a0000100010000000003666f6f03636f6d0000100001', 'hex'),
+    Buffer.from('c00c0010000100000078', 'hex'), Buffer.from([0, txt1.length + txt2.length + 2]),
+    Buffer.from([txt1.length]), txt1,
+    Buffer.from([txt2.length]), txt2
+  ])
+  var json = wire.toJSON(wire.decodeMessage(response))
+  t.equal(json.Status, 0)
+  t.ok(json.AD)
+  t.deepEqual(json.Answer, [{
+    name: 'foo.com.',
+    type: wire.TYPE_TXT,
+    TTL: 120,
+    data: '"datkey=444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444"'
+  }])
+
+  t.throws(function () { wire.decodeMessage(response.slice(0, 40)) }, /truncated/)
+  t.end()
+})
+
+tape('Successful test against dns-test-setup.dat-ecosystem.org (wire format)', function (t) {
+  var dns = createDatDNS({
+    dnsProviders: [{host: 'cloudflare-dns.com', port: 443, path: '/dns-query', format: 'wire'}]
+  })
+  dns.resolveName('dns-test-setup.dat-ecosystem.org', {noWellknownDat: true}, function (err, name) {
+    t.error(err)
+    t.equal(name, '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444')
+    t.end()
+  })
+})
+
+// a local DNS server that answers every TXT query with one record
+function createTxtServer (record, cb) {
+  var server = dgram.createSocket('udp4')
+  server.queries = 0
+  server.record = record
+  server.rcode = 0 // answer with this error code (and no record) if set
+  server.on('message', function (query, rinfo) {
+    server.queries++
+    var txt = Buffer.from(server.record)
+    var response = server.rcode ? Buffer.concat([
+      query.slice(0, 2), Buffer.from([0x81, 0x80 | server.rcode]), Buffer.from('0001000000000000', 'hex'), query.slice(12)
+    ]) : Buffer.concat([
+      query.slice(0, 2), Buffer.from('81800001000100000000', 'hex'), query.slice(12),
+      Buffer.from('c00c0010000100000078', 'hex'), Buffer.from([0, txt.length + 1, txt.length]), txt
+    ])
+    server.send(response, rinfo.port, rinfo.address)
+  })
+  server.bind(0, '127.0.0.1', function () {
+    cb(server, '127.0.0.1:' + server.address().port)
+  })
+}
+
+tape('Resolve through the system DNS', function (t) {
+  createTxtServer('datkey=444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444', function (server, address) {
+    var dns = createDatDNS({dnsServers: [address]})
+    var events = []
+    dns.on('resolved', function (e) { events.push(e.method) })
+    dns.resolve('internal.example', {noDnsOverHttps: true, noWellknownDat: true}, function (err, record) {
+      t.error(err)
+      t.equal(record.key, '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444')
+      t.equal(record.method, 'system-dns')
+      t.deepEqual(events, ['system-dns'])
+
+      dns.resolveName('internal.example', {ignoreCache: true, noDnsOverHttps: true, noWellknownDat: true, noSystemDns: true}, function (err, key) {
+        t.ok(err)
+        t.notOk(key)
+
+        // the system dns is only a default method when dnsServers is given
+        var defaultDns = createDatDNS()
+        var failed = []
+        defaultDns.on('failed', function (e) { failed.push(e.method) })
+        defaultDns.resolveName('internal.example', {noDnsOverHttps: true, noWellknownDat: true}, function (err, key) {
+          t.equal(err && err.code, 'ENOTFOUND')
+          t.notOk(key)
+          t.deepEqual(failed, [], 'the system dns was not asked')
+          server.close()
+          t.end()
+        })
+      })
+    })
+  })
+})
+
+tape('Resolution methods follow the given order', function (t) {
+  datDns.resolve('dns-test-setup.dat-ecosystem.org', {methods: ['well-known', 'dns-over-https'], ignoreCache: true}, function (err, record) {
+    t.error(err)
+    t.equal(record.key, '111231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde111')
+    t.equal(record.method, 'well-known')
+    t.end()
+  })
+})
+
+tape('Consensus strategy detects mismatching records', function (t) {
+  var dns = createDatDNS({strategy: 'consensus', methods: ['dns-over-https', 'well-known']})
+  var mismatch
+  dns.on('mismatch', function (e) { mismatch = e })
+  dns.resolveName('dns-test-setup.dat-ecosystem.org', function (err, key) {
+    t.ok(err)
+    t.notOk(key)
+    t.deepEqual(mismatch, {
+      protocol: 'dat',
+      name: 'dns-test-setup.dat-ecosystem.org',
+      keys: {
+        'dns-over-https': '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444',
+        'well-known': '111231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde111'
+      }
+    })
+    t.equal(dns.listCache().length, 0, 'disputed keys are not cached')
+    t.end()
+  })
+})
+
+tape('Consensus needs .well-known and a DNS method to agree', function (t) {
+  var key = '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444'
+  createTxtServer('datkey=' + key, function (server, address) {
+    var wellKnown = {statusCode: 404, body: ''}
+    var dns = createDatDNS({
+      strategy: 'consensus',
+      dnsServers: [address],
+      transport: function (request) {
+        if (request.path.indexOf('/.well-known/') === 0) return Promise.resolve(wellKnown)
+        return Promise.resolve({statusCode: 200, body: JSON.stringify({Status: 0, Answer: [{name: 'internal.example.', type: 16, TTL: 60, data: 'datkey=' + key}]})})
+      }
+    })
+    dns.resolveName('internal.example').then(function () {
+      t.fail('DNS-over-HTTPS and the system DNS should not be enough')
+    }, function (err) {
+      t.equal(err.code, 'ENOCONSENSUS', 'DoH and the system DNS agree, .well-known is missing')
+      wellKnown = {statusCode: 200, body: 'dat://' + key}
+      return dns.resolve('internal.example', {ignoreCachedMiss: true})
+    }).then(function (record) {
+      t.equal(record.key, key)
+      t.equal(record.method, 'consensus')
+    }).catch(function (err) {
+      t.error(err)
+    }).then(function () {
+      server.close()
+      t.end()
+    })
+  })
+})
+
+tape('Race until a key of a requested protocol is found', function (t) {
+  var datKey = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var cabalKey = '14bc77d788fdaf07b89b28e9d276e47f2e44011f4adb981921056e1b3b40e99e'
+  var dns = createDatDNS({
+    protocols: {dat: {}, cabal: {}},
+    strategy: 'race',
+    methods: ['dns-over-https', 'well-known'],
+    transport: function (request) {
+      if (request.path === '/.well-known/dat') {
+        return new Promise(function (resolve) {
+          setTimeout(function () { resolve({statusCode: 200, body: 'dat://' + datKey}) }, 20)
+        })
+      }
+      if (request.path.indexOf('/.well-known/') === 0) return Promise.resolve({statusCode: 404, body: ''})
+      return Promise.resolve({statusCode: 200, body: JSON.stringify({Status: 0, Answer: [{name: 'foo.example.', type: 16, TTL: 60, data: 'cabalkey=' + cabalKey}]})})
+    }
+  })
+  dns.resolve('foo.example', {protocol: 'dat'}).then(function (record) {
+    t.equal(record.key, datKey)
+    t.equal(record.method, 'well-known')
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Unknown strategies and methods fail', function (t) {
+  t.throws(function () { createDatDNS({strategy: 'unknown'}) }, /opts.strategy/)
+  t.throws(function () { createDatDNS({timeout: 0}) }, /opts.timeout must be more than 0/)
+  t.throws(function () { createDatDNS({timeout: -1}) }, /opts.timeout must be a number/)
+  datDns.resolveName('pfrazee.hashbase.io', {strategy: 'unknown', ignoreCache: true}, function (err, key) {
+    t.ok(err)
+    t.notOk(key)
+
+    datDns.resolveName('pfrazee.hashbase.io', {methods: ['unknown'], ignoreCache: true}, function (err, key) {
+      t.ok(err)
+      t.notOk(key)
+      t.end()
+    })
+  })
+})
+
+tape('Encode DNSSEC queries', function (t) {
+  var query = wire.decodeMessage(wire.encodeQuery('dns-test-setup.dat-ecosystem.org', {dnssec: true}))
+  t.ok(query.flags.ad, 'asks for validation')
+  t.notOk(query.flags.cd)
+  t.equal(query.additionals.length, 1)
+  t.equal(query.additionals[0].type, 41, 'has an EDNS OPT record')
+  t.equal(query.additionals[0].ttl & 0x8000, 0x8000, 'sets the DO bit')
+  t.end()
+})
+
+tape('Require DNSSEC validated answers', function (t) {
+  datDns.resolve('dns-test-setup.dat-ecosystem.org', {requireDnssec: false, noWellknownDat: true, ignoreCache: true}, function (err, record) {
+    t.error(err)
+    t.equal(typeof record.dnssec, 'boolean')
+
+    datDns.resolveName('dns-test-setup.dat-ecosystem.org', {requireDnssec: true, methods: ['well-known', 'system-dns']}, function (err, key) {
+      t.ok(err, 'only DNS-over-HTTPS answers can be validated')
+      t.notOk(key)
+      t.end()
+    })
+  })
+})
+
+tape('Sign and verify .well-known records', function (t) {
+  var keyPair = crypto.generateKeyPairSync('ed25519')
+  var key = keyPair.publicKey.export({format: 'der', type: 'spki'}).slice(-32).toString('hex')
+  var seed = keyPair.privateKey.export({format: 'der', type: 'pkcs8'}).slice(-32)
+  var expires = Math.floor(Date.now() / 1000) + 60
+
+  var record = createDatDNS.signWellKnownRecord({name: 'foo.com', key, secretKey: seed, expires, ttl: 60}).split('\n')
+  t.equal(record[0], 'dat://' + key)
+  t.equal(record[1], 'ttl=60')
+  t.equal(record[2], 'expires=' + expires)
+  var sig = record[3].slice('signature='.length)
+  t.ok(signature.verify('foo.com', key, expires, sig))
+  t.ok(signature.verify('FOO.com', key, expires, sig), 'names are not case sensitive')
+  t.notOk(signature.verify('bar.com', key, expires, sig), 'covers the name')
+  t.notOk(signature.verify('foo.com', key, expires + 1, sig), 'covers the expiry')
+  t.notOk(signature.verify('foo.com', 'f'.repeat(64), expires, sig), 'covers the key')
+  t.notOk(signature.verify('foo.com', key, expires, 'nonsense'))
+  t.end()
+})
+
+tape('Unsigned .well-known records fail when signatures are required', function (t) {
+  datDns.resolveName('dns-test-setup.dat-ecosystem.org', {requireSignedWellKnown: true, methods: ['well-known']}, function (err, key) {
+    t.ok(err)
+    t.equal(err && err.code, 'ESIGNATURE')
+    t.notOk(key)
+    t.end()
+  })
+})
+
+tape('Concurrent lookups of a name share one request', function (t) {
+  createTxtServer('datkey=444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444', function (server, address) {
+    var dns = createDatDNS({dnsServers: [address], methods: ['system-dns']})
+    var lookups = []
+    for (var i = 0; i < 10; i++) {
+      lookups.push(dns.resolveName('internal.example'))
+    }
+    t.deepEqual(dns.getLookupStats(), {inflight: 1, coalesced: 9})
+
+    Promise.all(lookups).then(function (keys) {
+      keys.forEach(function (key) {
+        t.equal(key, '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444')
+      })
+      t.equal(server.queries, 1)
+      t.deepEqual(dns.getLookupStats(), {inflight: 0, coalesced: 9})
+      server.close()
+      t.end()
+    }).catch(function (err) {
+      t.error(err)
+      server.close()
+      t.end()
+    })
+  })
+})
+
+tape('Resolve many names with a limited concurrency', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var active = 0
+  var maxActive = 0
+  var requests = 0
+  var dns = createDatDNS({
+    methods: ['well-known'],
+    transport: function (request) {
+      requests++
+      active++
+      maxActive = Math.max(maxActive, active)
+      return new Promise(function (resolve) {
+        setTimeout(function () {
+          active--
+          if (request.host.indexOf('missing') === 0) resolve({statusCode: 404, body: ''})
+          else resolve({statusCode: 200, body: 'dat://' + key})
+        }, 10)
+      })
+    }
+  })
+  var names = ['a.example', 'b.example', 'missing.example', 'c.example', 'a.example', 'd.example']
+  var single = dns.resolveName('d.example')
+  dns.resolveMany(names, {concurrency: 2}).then(function (res) {
+    t.deepEqual(Object.keys(res.results).sort(), ['a.example', 'b.example', 'c.example', 'd.example'])
+    t.equal(res.results['a.example'].key, key)
+    t.deepEqual(Object.keys(res.errors), ['missing.example'])
+    t.equal(res.errors['missing.example'].code, 'ENOTFOUND')
+    t.ok(maxActive <= 3, 'at most 2 lookups (and the single one) run at a time')
+    t.equal(requests, 5, 'duplicate names and in-flight lookups are shared')
+    return single
+  }).then(function (singleKey) {
+    t.equal(singleKey, key)
+
+    var items = []
+    var iterator = dns.resolveEach(['a.example', key, 'e.example'], {concurrency: 1})
+    var read = function () {
+      return iterator.next().then(function (item) {
+        if (item.done) return items
+        items.push(item.value)
+        return read()
+      })
+    }
+    t.equal(iterator[Symbol.asyncIterator](), iterator)
+    return read()
+  }).then(function (items) {
+    t.deepEqual(items.map(function (item) { return [item.name, item.record.method, item.err] }), [
+      ['a.example', 'cache', null],
+      [key, 'hash', null],
+      ['e.example', 'well-known', null]
+    ])
+    return dns.resolveMany(names, {concurrency: 0}).then(function () {
+      t.fail('should reject an invalid concurrency')
+    }, function (err) {
+      t.ok(/concurrency/.test(err.message))
+    })
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Pin keys and hold key changes back in strict mode', function (t) {
+  createTxtServer('datkey=444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444', function (server, address) {
+    var persistedPins = {}
+    var dns = createDatDNS({
+      dnsServers: [address],
+      methods: ['system-dns'],
+      pinning: 'strict',
+      persistentCache: {
+        read: function (name, err) { throw err },
+        write: function () {},
+        readPin: function (name, protocol) { return persistedPins[name] },
+        writePin: function (name, key, protocol) { persistedPins[name] = key }
+      }
+    })
+    var changes = []
+    dns.on('key-changed', function (e) { changes.push(e) })
+
+    dns.resolveName('internal.example').then(function (key) {
+      t.equal(key, '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444')
+      t.equal(persistedPins['internal.example'], key, 'pins are persisted')
+
+      server.record = 'datkey=111231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde111'
+      return dns.resolveName('internal.example', {ignoreCache: true}).then(function () {
+        t.fail('should not accept the changed key')
+      }, function (err) {
+        t.equal(err.code, 'EKEYCHANGED')
+        t.deepEqual(changes, [{
+          protocol: 'dat',
+          name: 'internal.example',
+          oldKey: '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444',
+          newKey: '111231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde111'
+        }])
+      })
+    }).then(function () {
+      return dns.acceptKeyChange('internal.example')
+    }).then(function (key) {
+      t.equal(key, '111231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde111')
+      t.equal(persistedPins['internal.example'], key)
+      return dns.resolveName('internal.example')
+    }).then(function (key) {
+      t.equal(key, '111231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde111')
+    }).catch(function (err) {
+      t.error(err)
+    }).then(function () {
+      server.close()
+      t.end()
+    })
+  })
+})
+
+tape('Failed persistent cache writes are not fatal', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var rejections = []
+  var onRejection = function (err) { rejections.push(err) }
+  process.on('unhandledRejection', onRejection)
+  var dns = createDatDNS({
+    methods: ['well-known'],
+    persistentCache: createDatDNS.createFileCache(path.join(os.tmpdir(), 'dat-dns-missing-' + process.pid, 'cache.log')),
+    transport: function (request) {
+      return Promise.resolve({statusCode: 200, body: 'dat://' + key})
+    }
+  })
+  dns.resolveName('unwritable.example').then(function (res) {
+    t.equal(res, key)
+    return new Promise(function (resolve) { setTimeout(resolve, 100) })
+  }).then(function () {
+    t.deepEqual(rejections, [], 'the failed write is not an unhandled rejection')
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    process.removeListener('unhandledRejection', onRejection)
+    t.end()
+  })
+})
+
+tape('File-backed persistent cache', function (t) {
+  var file = path.join(os.tmpdir(), 'dat-dns-test-' + process.pid + '.log')
+  var cleanup = function () {
+    try { fs.unlinkSync(file) } catch (e) {}
+  }
+  cleanup()
+  var cache = createDatDNS.createFileCache(file, {compactThreshold: 4})
+
+  cache.write('foo.com', '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9', 60, 'dat')
+    .then(function () { return cache.write('bar.com', '444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444', 0, 'dat') })
+    .then(function () { return cache.writePin('foo.com', '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9', 'dat') })
+    .then(function () {
+      // another instance, as another process would have, reads the same file
+      var other = createDatDNS.createFileCache(file, {maxStaleness: 0})
+      return Promise.all([
+        other.read('foo.com', null, 'dat'),
+        other.read('bar.com', new Error('not found'), 'dat').catch(function (err) { return err }),
+        other.read('foo.com', null, 'cabal').catch(function (err) { return err }),
+        other.readPin('foo.com', 'dat')
+      ])
+    })
+    .then(function (res) {
+      t.equal(res[0].key, '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9')
+      t.notOk(res[0].stale)
+      t.equal(res[1].message, 'not found', 'entries beyond maxStaleness are not used')
+      t.ok(res[2] instanceof Error, 'entries are kept per protocol')
+      t.equal(res[3], '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9')
+      return cache.read('bar.com', null, 'dat')
+    })
+    .then(function (entry) {
+      t.ok(entry.stale, 'expired entries are labeled as stale')
+
+      // writing the same names again compacts the file
+      return Promise.all([1, 2, 3, 4].map(function () {
+        return cache.write('foo.com', '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9', 60, 'dat')
+      }))
+    })
+    .then(function () { return cache.list() })
+    .then(function (entries) {
+      t.equal(entries.length, 2)
+      t.ok(fs.readFileSync(file, 'utf-8').trim().split('\n').length <= 4, 'the file was compacted')
+      t.notOk(fs.existsSync(file + '.lock'), 'the lock file was removed')
+    })
+    .catch(function (err) {
+      t.error(err)
+    })
+    .then(function () {
+      cleanup()
+      t.end()
+    })
+})
+
+tape('Evict the least recently used names from a bounded cache', function (t) {
+  createTxtServer('datkey=444231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde444', function (server, address) {
+    var dns = createDatDNS({dnsServers: [address], methods: ['system-dns'], cacheMaxEntries: 2})
+    var names = ['a.example', 'b.example', 'a.example', 'c.example', 'b.example']
+    names.reduce(function (p, name) {
+      return p.then(function () { return dns.resolveName(name) })
+    }, Promise.resolve()).then(function () {
+      t.equal(server.queries, 4, 'b.example was evicted when c.example was cached')
+      t.deepEqual(dns.listCache().map(function (entry) { return entry.name }), ['c.example', 'b.example'])
+      t.deepEqual(dns.cacheStats(), {entries: 2, maxEntries: 2, hits: 1, misses: 4, negativeHits: 0, evictions: 2})
+    }).catch(function (err) {
+      t.error(err)
+    }).then(function () {
+      server.close()
+      t.end()
+    })
+  })
+})
+
+tape('Invalidate, preload, export and import cache entries', function (t) {
+  var dns = createDatDNS()
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  dns.preload('preloaded.example', key, 120)
+  dns.preload('other.example', key, 60)
+  t.throws(function () { dns.preload('invalid.example', 'notakey', 60) }, /Invalid key/)
+
+  var list = dns.listCache()
+  t.equal(list.length, 2)
+  t.ok(Object.isFrozen(list) && Object.isFrozen(list[0]), 'the list is read-only')
+  t.equal(list[0].name, 'preloaded.example')
+  t.equal(list[0].key, key)
+  t.equal(list[0].negative, false)
+  t.ok(list[0].expires > Date.now() + 119000)
+
+  dns.resolveName('preloaded.example', {noDnsOverHttps: true, noWellknownDat: true, noSystemDns: true}).then(function (res) {
+    t.equal(res, key, 'preloaded names resolve from the cache')
+
+    dns.invalidate('other.example')
+    var snapshot = JSON.parse(JSON.stringify(dns.exportCache()))
+    t.deepEqual(snapshot.entries, [{protocol: 'dat', name: 'preloaded.example', key, negative: false, ttl: 120}])
+
+    var copy = createDatDNS()
+    t.equal(copy.importCache(snapshot), 1)
+    t.equal(copy.importCache({entries: [{protocol: 'unknown', name: 'x', key, ttl: 60}]}), 0, 'unknown protocols are skipped')
+    t.deepEqual(copy.exportCache().entries, snapshot.entries)
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Static names', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var otherKey = '111231b5589a5099aa3610a8ee550dcd454c3e33f4cac93b7d41b6b850cde111'
+  var file = path.join(os.tmpdir(), 'dat-dns-hosts-' + process.pid)
+  fs.writeFileSync(file, '# name key [ttl]\ndocs.internal ' + key + ' 60\nbroken.internal notakey\n')
+  var noMethods = {noDnsOverHttps: true, noWellknownDat: true, noSystemDns: true}
+
+  var fromMap = createDatDNS({staticNames: {'docs.internal': key}})
+  var fromFile = createDatDNS({staticNames: file})
+  var closed = createDatDNS({staticNames: file})
+  var events = []
+  fromFile.on('resolved', function (e) { events.push(e) })
+
+  fromMap.resolve('dat://Docs.Internal/', noMethods).then(function (res) {
+    t.equal(res.key, key)
+    t.equal(res.method, 'static')
+    t.equal(res.ttl, 3600)
+    return fromFile.resolve('docs.internal', noMethods)
+  }).then(function (res) {
+    t.equal(res.key, key)
+    t.equal(res.ttl, 60)
+    t.deepEqual(events, [{method: 'static', protocol: 'dat', name: 'docs.internal', key}])
+    t.equal(fromFile.listCache().length, 0, 'static names are not cached')
+    return fromFile.resolveName('broken.internal', noMethods).then(function () {
+      t.fail('should not resolve a line with an invalid key')
+    }, function () {
+      t.pass('lines with invalid keys are ignored')
+    })
+  }).then(function () {
+    // let the watcher take its first look at the file before it changes
+    return new Promise(function (resolve) { setTimeout(resolve, 1100) })
+  }).then(function () {
+    closed.close()
+    fs.writeFileSync(file, 'docs.internal ' + otherKey + '\n')
+    var waitForReload = function (tries) {
+      return new Promise(function (resolve) { setTimeout(resolve, 250) }).then(function () {
+        return fromFile.resolveName('docs.internal', noMethods)
+      }).then(function (res) {
+        return res === otherKey || tries === 0 ? res : waitForReload(tries - 1)
+      })
+    }
+    return waitForReload(12)
+  }).then(function (res) {
+    t.equal(res, otherKey, 'the file is reloaded when it changes')
+    return closed.resolveName('docs.internal', noMethods)
+  }).then(function (res) {
+    t.equal(res, key, 'closed resolvers stop watching the file')
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    fromFile.close()
+    fs.unlinkSync(file)
+    t.end()
+  })
+})
+
+tape('Cache negative answers but not failures', function (t) {
+  createTxtServer('v=spf1 -all', function (server, address) {
+    var dns = createDatDNS({dnsServers: [address], methods: ['system-dns']})
+    dns.resolveName('internal.example').then(function () {
+      t.fail('should not resolve a name without a key')
+    }, function (err) {
+      t.equal(err.code, 'ENOTFOUND')
+      t.equal(err.negativeTtl, 60)
+      t.equal(dns.listCache().length, 1)
+      t.equal(dns.listCache()[0].negative, true, 'the miss is cached')
+      return dns.resolveName('internal.example')
+    }).then(function () {
+      t.fail('should not resolve a cached miss')
+    }, function (err) {
+      t.equal(err.code, 'ENOTFOUND')
+      t.equal(server.queries, 1, 'the cached miss is used')
+
+      dns.flushCache()
+      server.rcode = 2 // SERVFAIL
+      return dns.resolveName('internal.example')
+    }).then(function () {
+      t.fail('should not resolve when the server fails')
+    }, function (err) {
+      t.equal(err.code, 'ESERVFAIL')
+      t.equal(dns.listCache().length, 0, 'failures are not cached')
+
+      server.rcode = 3 // NXDOMAIN
+      return dns.resolveName('internal.example')
+    }).then(function () {
+      t.fail('should not resolve a name that does not exist')
+    }, function (err) {
+      t.equal(err.code, 'ENOTFOUND')
+      t.equal(dns.listCache().length, 1)
+    }).catch(function (err) {
+      t.error(err)
+    }).then(function () {
+      server.close()
+      t.end()
+    })
+  })
+})
+
+tape('Cache the misses of protocols without a record', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var requests = 0
+  var dns = createDatDNS({
+    protocols: {dat: {}, cabal: {}},
+    dnsProviders: [['doh.example', 443, '/dns-query']],
+    transport: function (request) {
+      requests++
+      if (request.host === 'doh.example') {
+        // only a dat key, and no key at all for partial.example
+        var answer = /name=partial\.example/.test(request.path) ? '"v=spf1 -all"' : '"datkey=' + key + '"'
+        return Promise.resolve({statusCode: 200, body: JSON.stringify({Status: 0, Answer: [{data: answer, TTL: 60}]})})
+      }
+      if (request.path === '/.well-known/dat') return Promise.resolve({statusCode: 200, body: 'dat://' + key})
+      return Promise.resolve({statusCode: request.host === 'partial.example' ? 500 : 404, body: ''})
+    }
+  })
+  var isCabalMiss = function (entry) { return entry.protocol === 'cabal' && entry.negative }
+  dns.resolveName('foo.example', {protocol: 'cabal'}).then(function () {
+    t.fail('should not resolve a protocol without a record')
+  }, function (err) {
+    t.equal(err.code, 'ENOTFOUND')
+    t.equal(requests, 2)
+    t.ok(dns.listCache().some(isCabalMiss), 'the miss is cached next to the dat key')
+    return dns.resolveName('foo.example', {protocol: 'cabal'})
+  }).then(function () {
+    t.fail('should not resolve a cached miss')
+  }, function (err) {
+    t.equal(err.code, 'ENOTFOUND')
+    t.equal(requests, 2, 'the cached miss is used')
+    return dns.resolveAll('bar.example')
+  }).then(function (keys) {
+    t.deepEqual(keys, {dat: key})
+    t.equal(requests, 4)
+    return dns.resolveAll('bar.example')
+  }).then(function (keys) {
+    t.deepEqual(keys, {dat: key})
+    t.equal(requests, 4, 'the protocols that were found without cabal are not looked up again')
+    return dns.resolveAll('partial.example')
+  }).then(function (keys) {
+    t.deepEqual(keys, {dat: key})
+    t.notOk(dns.listCache().some(function (entry) { return entry.name === 'partial.example' && isCabalMiss(entry) }),
+      'a protocol that failed is not cached as a miss')
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Time out and abort hanging requests', function (t) {
+  // accepts connections, but never answers
+  var sockets = []
+  var server = net.createServer(function (socket) {
+    sockets.push(socket)
+    socket.resume()
+  })
+  server.listen(0, '127.0.0.1', function () {
+    var dns = createDatDNS({
+      dnsProviders: [['127.0.0.1', server.address().port, '/dns-query']],
+      methods: ['dns-over-https'],
+      timeout: 5000
+    })
+    var start = Date.now()
+    dns.resolveName('internal.example', {timeout: 100, retries: 1, retryDelay: 10}).then(function () {
+      t.fail('should not resolve')
+    }, function (err) {
+      t.equal(err.code, 'ETIMEOUT')
+      t.equal(sockets.length, 2, 'the request was retried once')
+      t.ok(Date.now() - start < 1000, 'the call timeout overrides the instance timeout')
+
+      // a minimal AbortController, node 12 has none
+      var signal = new EventEmitter()
+      signal.aborted = false
+      signal.addEventListener = signal.on
+      signal.removeEventListener = signal.removeListener
+      setTimeout(function () {
+        signal.aborted = true
+        signal.emit('abort')
+      }, 50)
+      start = Date.now()
+      return dns.resolveName('internal.example', {signal})
+    }).then(function () {
+      t.fail('should not resolve')
+    }, function (err) {
+      t.equal(err.name, 'AbortError')
+      t.ok(Date.now() - start < 1000, 'the lookup is aborted right away')
+      t.deepEqual(dns.getLookupStats(), {inflight: 0, coalesced: 0})
+    }).then(function () {
+      setTimeout(function () {
+        t.ok(sockets.every(function (socket) { return socket.destroyed }), 'the requests were destroyed')
+        server.close()
+        t.end()
+      }, 50)
+    })
+  })
+})
+
+tape('Send requests through a custom transport', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var requests = []
+  var dns = createDatDNS({
+    dnsProviders: [['doh.example', 443, '/dns-query']],
+    transport: function (request) {
+      requests.push(request.host + request.path.split('?')[0])
+      if (request.host === 'doh.example') {
+        t.equal(request.encoding, 'string')
+        return Promise.resolve({statusCode: 200, body: JSON.stringify({Status: 0, Answer: [{data: '"datkey=' + key + '"', TTL: 60}]})})
+      }
+      return Promise.resolve({statusCode: 200, body: 'dat://' + key + '\nttl=60'})
+    }
+  })
+  dns.resolve('transport.example', {ignoreCache: true}).then(function (res) {
+    t.equal(res.key, key)
+    t.equal(res.method, 'dns-over-https')
+    return dns.resolve('transport.example', {ignoreCache: true, noDnsOverHttps: true})
+  }).then(function (res) {
+    t.equal(res.method, 'well-known')
+    t.deepEqual(requests, ['doh.example/dns-query', 'transport.example/.well-known/dat'])
+
+    // the fetch transport, with a fake fetch
+    var fetched = []
+    var fetchDns = createDatDNS({
+      methods: ['well-known'],
+      transport: createDatDNS.createFetchTransport({
+        fetch: function (url, init) {
+          fetched.push(url)
+          return Promise.resolve({
+            status: 200,
+            headers: {
+              get: function (name) { return name.toLowerCase() === 'content-type' ? 'text/plain' : null },
+              forEach: function (fn) { fn('text/plain', 'Content-Type') }
+            },
+            text: function () { return Promise.resolve('dat://' + key + '\nttl=60') }
+          })
+        }
+      })
+    })
+    return fetchDns.resolveName('fetch.example').then(function (res) {
+      t.equal(res, key)
+      t.deepEqual(fetched, ['https://fetch.example/.well-known/dat'])
+    })
+  }).then(function () {
+    // streamed bodies, without a Content-Length header
+    var reads = 0
+    var cancelled = false
+    var streamFetch = function (url) {
+      var chunks = url.indexOf('large') !== -1
+        ? null // never ends
+        : [Buffer.from('dat://' + key.slice(0, 10)), Buffer.from(key.slice(10) + '\nttl=60')]
+      return Promise.resolve({
+        status: 200,
+        headers: {get: function () { return null }, forEach: function () {}},
+        body: {
+          getReader: function () {
+            return {
+              read: function () {
+                reads++
+                if (!chunks) return Promise.resolve({done: false, value: new Uint8Array(512).fill(120)})
+                return Promise.resolve(chunks.length ? {done: false, value: new Uint8Array(chunks.shift())} : {done: true})
+              },
+              cancel: function () {
+                cancelled = true
+                return Promise.resolve()
+              }
+            }
+          }
+        }
+      })
+    }
+    var transport = createDatDNS.createFetchTransport({fetch: streamFetch})
+    return transport({host: 'stream.example', path: '/.well-known/dat', encoding: 'string', maxBytes: 1024}).then(function (res) {
+      t.equal(res.body, 'dat://' + key + '\nttl=60')
+      reads = 0
+      return transport({host: 'large.example', path: '/.well-known/dat', encoding: 'string', maxBytes: 1024})
+    }).then(function () {
+      t.fail('should not read a body larger than maxBytes')
+    }, function (err) {
+      t.equal(err.code, 'EINVALID')
+      t.equal(reads, 3, 'the body is read until it is larger than maxBytes')
+      t.ok(cancelled, 'the rest of the body is cancelled')
+    })
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Load without node-only modules and Buffer (browsers)', function (t) {
+  var Module = require('module')
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var fetched = []
+  var fakeFetch = function (url) {
+    fetched.push(url)
+    var body = url.indexOf('/dns-query') !== -1
+      ? JSON.stringify({Status: 0, Answer: [{data: '"datkey=' + key + '"', TTL: 60}]})
+      : 'dat://' + key + '\nttl=60'
+    return Promise.resolve({
+      status: 200,
+      headers: {
+        get: function () { return null },
+        forEach: function () {}
+      },
+      text: function () { return Promise.resolve(body) }
+    })
+  }
+
+  // load the modules of this repo again, the way the browser field of package.json bundles them
+  var load = Module._load
+  var bufferDescriptor = Object.getOwnPropertyDescriptor(global, 'Buffer')
+  var fetchDescriptor = Object.getOwnPropertyDescriptor(global, 'fetch')
+  var cached = {}
+  Object.keys(require.cache).forEach(function (file) {
+    if (path.dirname(file) === __dirname && file !== __filename) {
+      cached[file] = require.cache[file]
+      delete require.cache[file]
+    }
+  })
+  Module._load = function (request) {
+    if (['crypto', 'dns', 'fs', 'http', 'https'].indexOf(request) !== -1) return {}
+    return load.apply(this, arguments)
+  }
+  Object.defineProperty(global, 'Buffer', {value: undefined, configurable: true, writable: true})
+  Object.defineProperty(global, 'fetch', {value: fakeFetch, configurable: true, writable: true})
+  var restore = function () {
+    Module._load = load
+    Object.defineProperty(global, 'Buffer', bufferDescriptor)
+    if (fetchDescriptor) Object.defineProperty(global, 'fetch', fetchDescriptor)
+    else delete global.fetch
+    Object.keys(require.cache).forEach(function (file) {
+      if (path.dirname(file) === __dirname && file !== __filename) delete require.cache[file]
+    })
+    Object.assign(require.cache, cached)
+  }
+
+  Promise.resolve().then(function () {
+    var browserDns = require('./index')({dnsProviders: [['doh.example', 443, '/dns-query']]})
+    return browserDns.resolve('browser.example').then(function (res) {
+      t.equal(res.key, key)
+      t.equal(res.method, 'dns-over-https')
+      return browserDns.resolve('browser.example', {ignoreCache: true, methods: ['well-known']})
+    }).then(function (res) {
+      t.equal(res.key, key)
+      t.equal(res.signed, null)
+      t.deepEqual(fetched, [
+        'https://doh.example/dns-query?name=browser.example.&type=TXT',
+        'https://browser.example/.well-known/dat'
+      ])
+      return browserDns.resolve('browser.example', {ignoreCache: true, methods: ['system-dns']}).then(function () {
+        t.fail('should not resolve')
+      }, function (err) {
+        t.ok(/system DNS is not available/.test(err.message))
+      })
+    })
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    restore()
+    t.end()
+  })
+})
+
+tape('Follow .well-known redirects on the same domain', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var responses = {
+    'redirect.example/.well-known/dat': {statusCode: 301, headers: {location: '/.well-known/dat/'}},
+    'redirect.example/.well-known/dat/': {statusCode: 302, headers: {location: 'https://www.redirect.example/dat.txt'}},
+    'www.redirect.example/dat.txt': {statusCode: 200, headers: {'cache-control': 'public, max-age=120'}, body: 'dat://' + key},
+    'insecure.example/.well-known/dat': {statusCode: 301, headers: {location: 'http://insecure.example/.well-known/dat'}},
+    'elsewhere.example/.well-known/dat': {statusCode: 301, headers: {location: 'https://other.example/.well-known/dat'}},
+    'victim.github.io/.well-known/dat': {statusCode: 301, headers: {location: 'https://attacker.github.io/.well-known/dat'}},
+    'attacker.github.io/.well-known/dat': {statusCode: 200, headers: {}, body: 'dat://' + 'f'.repeat(64)},
+    'example.co.uk/.well-known/dat': {statusCode: 301, headers: {location: 'https://www.example.co.uk/dat.txt'}},
+    'www.example.co.uk/dat.txt': {statusCode: 200, headers: {}, body: 'dat://' + key},
+    'large.example/.well-known/dat': {statusCode: 200, headers: {}, body: 'dat://' + key + '\n' + 'x'.repeat(1024)}
+  }
+  var dns = createDatDNS({
+    methods: ['well-known'],
+    wellKnownMaxBytes: 1024,
+    wellKnownCacheControl: true,
+    transport: function (request) {
+      return Promise.resolve(responses[request.host + request.path])
+    }
+  })
+  dns.resolve('redirect.example').then(function (res) {
+    t.equal(res.key, key)
+    t.equal(res.ttl, 120, 'the TTL comes from Cache-Control')
+    return dns.resolveName('example.co.uk')
+  }).then(function (res) {
+    t.equal(res, key, 'redirects stay under a public suffix')
+    return Promise.all(['insecure.example', 'elsewhere.example', 'victim.github.io', 'large.example'].map(function (name) {
+      return dns.resolveName(name).then(function () {
+        t.fail('should not resolve ' + name)
+      }, function (err) {
+        t.equal(err.code, 'EINVALID', err.message)
+      })
+    }))
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('JSON .well-known records with several keys and metadata', function (t) {
+  var keyPair = crypto.generateKeyPairSync('ed25519')
+  var datKey = keyPair.publicKey.export({format: 'der', type: 'spki'}).slice(-32).toString('hex')
+  var seed = keyPair.privateKey.export({format: 'der', type: 'pkcs8'}).slice(-32)
+  var hyperKey = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var expires = Math.floor(Date.now() / 1000) + 60
+  var body = JSON.stringify({
+    keys: {dat: 'dat://' + datKey, hyper: hyperKey},
+    ttl: 120,
+    version: 5,
+    title: 'Example archive',
+    url: 'https://json.example/',
+    expires,
+    signatures: {dat: signature.sign('json.example', datKey, expires, seed)}
+  })
+  var dns = createDatDNS({
+    protocols: {dat: {}, hyper: {}},
+    methods: ['well-known'],
+    transport: function (request) {
+      return Promise.resolve({statusCode: 200, body})
+    }
+  })
+  dns.resolve('json.example').then(function (res) {
+    t.equal(res.key, datKey)
+    t.equal(res.ttl, 120)
+    t.equal(res.version, '5')
+    t.deepEqual(res.metadata, {title: 'Example archive', url: 'https://json.example/'})
+    return dns.resolve('json.example', {protocol: 'hyper'})
+  }).then(function (res) {
+    t.equal(res.key, hyperKey)
+    t.equal(res.method, 'cache', 'the keys of the other protocols are cached')
+    t.equal(res.metadata.title, 'Example archive', 'the metadata is cached')
+    return dns.resolveAll('json.example', {requireSignedWellKnown: true})
+  }).then(function (keys) {
+    t.deepEqual(keys, {dat: datKey}, 'unsigned keys of other protocols are dropped')
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Reverse lookup of the names of a key', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var otherKey = '11a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var records = {'real.example': key, 'spoofed.example': otherKey, 'stored.example': key}
+  var dns = createDatDNS({
+    methods: ['well-known'],
+    persistentCache: {
+      read: function (name, err) { return Promise.reject(err) },
+      write: function () {},
+      list: function () {
+        return Promise.resolve([{protocol: 'dat', name: 'stored.example', key, ttl: 60, time: Date.now()}])
+      }
+    },
+    transport: function (request) {
+      var record = records[request.host]
+      return Promise.resolve(record ? {statusCode: 200, body: 'dat://' + record} : {statusCode: 404, body: ''})
+    }
+  })
+  dns.preload('real.example', key, 60)
+  dns.preload('spoofed.example', key, 60)
+  dns.preload('other.example', otherKey, 60)
+  dns.reverseLookup(key, {verify: false}).then(function (matches) {
+    t.deepEqual(matches.map(function (match) { return [match.name, match.source, match.verified] }), [
+      ['real.example', 'cache', null],
+      ['spoofed.example', 'cache', null],
+      ['stored.example', 'persistent-cache', null]
+    ])
+    return dns.reverseLookup(key.toUpperCase())
+  }).then(function (matches) {
+    t.deepEqual(matches.map(function (match) { return [match.name, match.verified] }), [
+      ['real.example', true],
+      ['stored.example', true],
+      ['spoofed.example', false]
+    ], 'names are verified by a fresh lookup')
+    t.equal(matches[0].key, key)
+    return dns.reverseLookup(key)
+  }).then(function (matches) {
+    t.deepEqual(matches.map(function (match) { return match.name }), ['real.example', 'stored.example'], 'the spoofed name was replaced in the cache')
+    dns.invalidate('real.example')
+    return dns.reverseLookup(key, {verify: false})
+  }).then(function (matches) {
+    t.deepEqual(matches.map(function (match) { return match.name }), ['stored.example'])
+    return dns.reverseLookup('nope').then(function () {
+      t.fail('should reject an invalid key')
+    }, function (err) {
+      t.ok(/Invalid key/.test(err.message))
+    })
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Normalize names, urls and internationalized names', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var hosts = []
+  var dns = createDatDNS({
+    methods: ['well-known'],
+    transport: function (request) {
+      hosts.push(request.host)
+      return Promise.resolve({statusCode: 200, body: 'dat://' + key})
+    }
+  })
+  t.deepEqual(dns.normalizeName('dat://Bücher.DE.:8080/foo.txt?bar=baz'), {name: 'xn--bcher-kva.de', version: null})
+  t.deepEqual(dns.normalizeName('hyper://user@Foo.com+5/bar'), {name: 'foo.com', version: '5'})
+  t.deepEqual(dns.normalizeName('cabal://_dat.foo.com'), {name: '_dat.foo.com', version: null})
+  t.deepEqual(dns.normalizeName(key + '+5'), {name: key, version: '5'}, 'keys are not domain names')
+  ;[1234, '', 'foo bar', '-foo.com', 'foo..com', 'a'.repeat(64) + '.com'].forEach(function (name) {
+    try {
+      dns.normalizeName(name)
+      t.fail('should reject ' + name)
+    } catch (err) {
+      t.equal(err.code, 'EINVALID', err.message)
+    }
+  })
+
+  dns.resolve('Bücher.de').then(function (res) {
+    t.equal(res.name, 'xn--bcher-kva.de')
+    return dns.resolve('dat://XN--BCHER-KVA.DE.+2/index.html')
+  }).then(function (res) {
+    t.equal(res.method, 'cache', 'both spellings share a cache entry')
+    t.equal(res.version, '2')
+    t.deepEqual(hosts, ['xn--bcher-kva.de'], 'the punycode name is sent')
+    return dns.resolveName('foo bar').then(function () {
+      t.fail('should reject an invalid name')
+    }, function (err) {
+      t.equal(err.code, 'EINVALID')
+    })
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Serve DNS-over-HTTPS answers and resolution records', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var dns = createDatDNS({
+    methods: ['well-known'],
+    transport: function (request) {
+      if (request.host === 'missing.example') return Promise.resolve({statusCode: 404, body: ''})
+      return Promise.resolve({statusCode: 200, body: 'dat://' + key + '\nttl=120'})
+    }
+  })
+  var server = createDatDNS.createServer(dns)
+  server.listen(0, '127.0.0.1', function () {
+    var port = server.address().port
+    var get = function (path) {
+      return new Promise(function (resolve, reject) {
+        http.get({host: '127.0.0.1', port, path, headers: {Accept: 'application/dns-json'}}, function (res) {
+          var body = ''
+          res.setEncoding('utf-8')
+          res.on('data', function (chunk) { body += chunk })
+          res.on('end', function () {
+            resolve({statusCode: res.statusCode, headers: res.headers, body})
+          })
+        }).on('error', reject)
+      })
+    }
+    // a client that uses the server as its DNS-over-HTTPS provider
+    var client = createDatDNS({
+      methods: ['dns-over-https'],
+      dnsProviders: [['localhost', port, '/dns-query']],
+      transport: function (request) { return get(request.path) }
+    })
+
+    get('/dns-query?name=Foo.example.&type=TXT').then(function (res) {
+      var answer = JSON.parse(res.body)
+      t.equal(res.statusCode, 200)
+      t.equal(res.headers['content-type'], 'application/dns-json')
+      t.equal(answer.Status, 0)
+      t.deepEqual(answer.Answer, [{name: 'foo.example.', type: 16, TTL: 120, data: '"datkey=' + key + '"'}])
+      return client.resolve('foo.example')
+    }).then(function (record) {
+      t.equal(record.key, key)
+      t.equal(record.method, 'dns-over-https')
+      t.equal(record.ttl, 120)
+      return client.resolveName('missing.example').then(function () {
+        t.fail('should not resolve a missing name')
+      }, function (err) {
+        t.equal(err.code, 'ENOTFOUND')
+        t.equal(err.negativeTtl, 60, 'the negative TTL is served')
+      })
+    }).then(function () {
+      return get('/dns-query?name=foo.example&type=A')
+    }).then(function (res) {
+      t.equal(JSON.parse(res.body).Status, 4, 'only TXT records are served')
+      return get('/dns-query?name=foo%20bar')
+    }).then(function (res) {
+      t.equal(res.statusCode, 400)
+      return get('/resolve/' + encodeURIComponent('dat://foo.example+3/index.html'))
+    }).then(function (res) {
+      var record = JSON.parse(res.body)
+      t.equal(res.statusCode, 200)
+      t.equal(record.key, key)
+      t.equal(record.version, '3')
+      t.equal(record.method, 'cache')
+      t.ok(/^max-age=\d+$/.test(res.headers['cache-control']))
+      return get('/resolve/missing.example')
+    }).then(function (res) {
+      t.equal(res.statusCode, 404)
+      t.equal(JSON.parse(res.body).error.code, 'ENOTFOUND')
+      return get('/resolve/foo.example?protocol=unknown')
+    }).then(function (res) {
+      t.equal(res.statusCode, 400, 'unknown protocols are bad requests')
+      t.equal(JSON.parse(res.body).error.code, 'EINVALID')
+      return get('/nothing')
+    }).then(function (res) {
+      t.equal(res.statusCode, 404)
+    }).catch(function (err) {
+      t.error(err)
+    }).then(function () {
+      server.close()
+      t.end()
+    })
+  })
+})
+
+tape('Command-line tool', function (t) {
+  var runCli = require('./cli')
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var file = path.join(os.tmpdir(), 'dat-dns-cli-' + process.pid + '.log')
+  var run = function (argv) {
+    var out = {stdout: '', stderr: ''}
+    var streams = {
+      stdout: {write: function (text) { out.stdout += text }},
+      stderr: {write: function (text) { out.stderr += text }}
+    }
+    return runCli(argv, streams).then(function (code) {
+      out.code = code
+      return out
+    })
+  }
+
+  run(['resolve', 'dat://' + key + '+5']).then(function (out) {
+    t.equal(out.code, 0)
+    t.equal(out.stdout, key + '\nmethod: hash\nttl: unknown\n')
+    return run(['resolve', key, '--json'])
+  }).then(function (out) {
+    var record = JSON.parse(out.stdout)
+    t.equal(record.key, key)
+    t.equal(record.method, 'hash')
+    return run(['cache', 'set', 'Foo.example', key, '--ttl', '60', '--cache-file', file])
+  }).then(function (out) {
+    t.equal(out.code, 0)
+    return run(['cache', 'get', 'foo.example', '--cache-file=' + file, '--json'])
+  }).then(function (out) {
+    var entry = JSON.parse(out.stdout)
+    t.equal(entry.name, 'foo.example')
+    t.equal(entry.key, key)
+    t.equal(entry.stale, false)
+    return run(['cache', 'list', '--cache-file', file, '--json'])
+  }).then(function (out) {
+    t.deepEqual(JSON.parse(out.stdout).map(function (entry) { return entry.name }), ['foo.example'])
+    return run(['resolve', 'foo.example', '--method', 'well-known', '--provider', 'localhost:1', '--timeout', '1', '--cache-file', file])
+  }).then(function (out) {
+    t.equal(out.code, 0)
+    t.ok(out.stdout.indexOf('method: persistent-cache') !== -1, 'resolve falls back to the cache file')
+    return run(['cache', 'get', 'missing.example', '--cache-file', file, '--json'])
+  }).then(function (out) {
+    t.equal(out.code, 1)
+    t.ok(JSON.parse(out.stdout).error.message)
+    return run(['cache', 'list'])
+  }).then(function (out) {
+    t.equal(out.code, 2, 'usage errors')
+    t.ok(/--cache-file/.test(out.stderr))
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    fs.unlinkSync(file)
+    t.end()
+  })
+})
+
+tape('Serve stale keys while they are refreshed in the background', function (t) {
+  var oldKey = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var newKey = '11a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var key = oldKey
+  var requests = 0
+  var dns = createDatDNS({
+    methods: ['well-known'],
+    staleWhileRevalidate: 60,
+    transport: function (request) {
+      requests++
+      return Promise.resolve({statusCode: 200, body: 'dat://' + key + '\nttl=1'})
+    }
+  })
+  var refreshed = []
+  dns.on('refreshed', function (e) { refreshed.push(e) })
+  dns.resolve('stale.example').then(function (record) {
+    t.equal(record.key, oldKey)
+    key = newKey
+    return new Promise(function (resolve) { setTimeout(resolve, 1100) })
+  }).then(function () {
+    return Promise.all([dns.resolve('stale.example'), dns.resolve('stale.example')])
+  }).then(function (records) {
+    records.forEach(function (record) {
+      t.equal(record.key, oldKey, 'the expired key is served')
+      t.equal(record.method, 'cache')
+      t.equal(record.stale, true)
+    })
+    return new Promise(function (resolve) { setTimeout(resolve, 50) })
+  }).then(function () {
+    t.equal(requests, 2, 'one background refresh runs')
+    t.deepEqual(refreshed, [{protocol: 'dat', name: 'stale.example', key: newKey, oldKey, changed: true}])
+    return dns.resolve('stale.example')
+  }).then(function (record) {
+    t.equal(record.key, newKey)
+    t.equal(record.stale, false)
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
+tape('Refresh names that are read before they expire', function (t) {
+  var key = '40a7f6b6147ae695bcbcff432f684c7bb5291ea339c28c1755896cdeb80bd2f9'
+  var requests = {}
+  var dns = createDatDNS({
+    methods: ['well-known'],
+    refreshAhead: 60,
+    cacheCleanSeconds: 0.1,
+    transport: function (request) {
+      requests[request.host] = (requests[request.host] || 0) + 1
+      return Promise.resolve({statusCode: 200, body: 'dat://' + key + '\nttl=30'})
+    }
+  })
+  var refreshed = []
+  dns.on('refreshed', function (e) { refreshed.push(e) })
+  Promise.all([dns.resolve('hot.example'), dns.resolve('cold.example')]).then(function () {
+    return dns.resolve('hot.example')
+  }).then(function (record) {
+    t.equal(record.method, 'cache')
+    return new Promise(function (resolve) { setTimeout(resolve, 350) })
+  }).then(function () {
+    t.deepEqual(refreshed, [{protocol: 'dat', name: 'hot.example', key, oldKey: key, changed: false}], 'the entry is refreshed once')
+    t.deepEqual(requests, {'hot.example': 2, 'cold.example': 1}, 'names that were not read are not refreshed')
+    return dns.resolve('hot.example')
+  }).then(function (record) {
+    t.equal(record.method, 'cache')
+    t.equal(record.stale, false)
+    dns.flushCache()
+  }).catch(function (err) {
+    t.error(err)
+  }).then(function () {
+    t.end()
+  })
+})
+
 tape('List cache', function (t) {
-  t.is(Object.keys(datDns.listCache()).length, 6)
+  // the keys found by the tests above; invalid names and failed lookups are not cached
+  var entries = {}
+  datDns.listCache().forEach(function (entry) { entries[entry.name] = entry })
+  t.ok(entries['pfrazee.hashbase.io'] && entries['pfrazee.hashbase.io'].key)
+  t.ok(entries['dns-test-setup.dat-ecosystem.org'] && entries['dns-test-setup.dat-ecosystem.org'].key)
+  t.notOk(entries['foo bar'] || entries['foo%20bar'], 'invalid names are not looked up')
+  t.notOk(entries['bad-dat-domain-name'], 'failures are not cached as misses')
+  t.ok(datDns.listCache().every(function (entry) { return entry.protocol === 'dat' }))
   t.end()
 })
 
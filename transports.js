@@ -0,0 +1,145 @@
+// HTTP transports for DNS-over-HTTPS and .well-known requests
+// a transport is a function (request) -> Promise<{statusCode, headers, body}>, which rejects if the request fails
+// request = {host, port, path, method, headers, body, encoding, maxBytes, timeout, signal}
+//   encoding is 'string' or 'buffer', the type of the response body
+//   larger responses than maxBytes (if set) should fail (the caller checks the size of the body too)
+//   the request should be cancelled when the signal aborts (the timeout is enforced by the caller)
+
+const { onAbort } = require('./abort')
+const { createError } = require('./errors')
+
+exports.createDefaultTransport = createDefaultTransport
+exports.createHttpsTransport = createHttpsTransport
+exports.createFetchTransport = createFetchTransport
+
+// the https transport, or the fetch transport where there is no https module (browsers)
+function createDefaultTransport (opts) {
+  return typeof require('https').request === 'function' ? createHttpsTransport(opts) : createFetchTransport()
+}
+
+// node's https module, with an optional https.Agent (for proxies, pinned CAs...)
+// the module is loaded when the transport is created, so bundles for browsers can leave it out
+function createHttpsTransport (opts) {
+  var agent = opts && opts.agent
+  var https = require('https')
+  var concat = require('concat-stream')
+  return function httpsTransport (request) {
+    return new Promise(function (resolve, reject) {
+      var req = https.request({
+        host: request.host,
+        port: request.port,
+        method: request.method || 'GET',
+        path: request.path,
+        headers: request.headers,
+        agent
+      })
+      var stopListening = function () {}
+      var done = function (fn, value) {
+        stopListening()
+        fn(value)
+      }
+      req.on('response', function (res) {
+        var size = 0
+        res.on('data', function (chunk) {
+          size += Buffer.byteLength(chunk)
+          if (request.maxBytes && size > request.maxBytes) {
+            done(reject, tooLarge(request))
+            req.destroy()
+          }
+        })
+        if (request.encoding !== 'buffer') res.setEncoding('utf-8')
+        res.on('error', function (err) { done(reject, err) })
+        res.on('aborted', function () { done(reject, new Error('The response was aborted')) })
+        res.pipe(concat({ encoding: request.encoding === 'buffer' ? 'buffer' : 'string' }, function (body) {
+          done(resolve, { statusCode: res.statusCode, headers: res.headers, body })
+        }))
+      })
+      req.on('error', function (err) { done(reject, err) })
+      stopListening = onAbort(request.signal, function () { req.destroy() })
+      req.end(request.body || undefined)
+    })
+  }
+}
+
+// the WHATWG fetch API, for browsers and other runtimes without the https module
+// redirects are not followed, buffer bodies are Buffers where Buffer exists and Uint8Arrays elsewhere
+// bodies are read as a stream where the response has one, and cancelled once they are larger than maxBytes
+function createFetchTransport (opts) {
+  var fetch = (opts && opts.fetch) || (typeof globalThis !== 'undefined' && globalThis.fetch)
+  if (typeof fetch !== 'function') throw new Error('fetch is not available, pass opts.fetch')
+  return function fetchTransport (request) {
+    var controller = typeof AbortController === 'function' ? new AbortController() : null
+    var stopListening = onAbort(request.signal, function () {
+      if (controller) controller.abort()
+    })
+    var port = request.port && request.port !== 443 ? ':' + request.port : ''
+    return Promise.resolve().then(function () {
+      return fetch('https://' + request.host + port + request.path, {
+        method: request.method || 'GET',
+        headers: request.headers,
+        body: request.body || undefined,
+        redirect: 'manual',
+        signal: controller ? controller.signal : undefined
+      })
+    }).then(function (res) {
+      if (request.maxBytes && +res.headers.get('content-length') > request.maxBytes) throw tooLarge(request)
+      var body
+      if (res.body && typeof res.body.getReader === 'function') {
+        body = readBody(res.body.getReader(), request).then(function (bytes) {
+          return request.encoding === 'buffer' ? toBuffer(bytes) : new TextDecoder().decode(bytes)
+        })
+      } else {
+        body = request.encoding === 'buffer' ? res.arrayBuffer().then(toBuffer) : res.text()
+      }
+      return body.then(function (body) {
+        var headers = {}
+        res.headers.forEach(function (value, name) { headers[name.toLowerCase()] = value })
+        return { statusCode: res.status, headers, body }
+      })
+    }).then(function (res) {
+      stopListening()
+      return res
+    }, function (err) {
+      stopListening()
+      throw err && err.cause && err.cause.code ? err.cause : err // node's fetch wraps network errors
+    })
+  }
+}
+
+// read a stream of Uint8Arrays into one, and cancel it once it is larger than request.maxBytes
+function readBody (reader, request) {
+  var chunks = []
+  var size = 0
+  var read = function () {
+    return reader.read().then(function (result) {
+      if (result.done) return concatBytes(chunks, size)
+      size += result.value.length
+      if (request.maxBytes && size > request.maxBytes) {
+        Promise.resolve(reader.cancel()).catch(function () {})
+        throw tooLarge(request)
+      }
+      chunks.push(result.value)
+      return read()
+    })
+  }
+  return read()
+}
+
+function concatBytes (chunks, size) {
+  var bytes = new Uint8Array(size)
+  var offset = 0
+  chunks.forEach(function (chunk) {
+    bytes.set(chunk, offset)
+    offset += chunk.length
+  })
+  return bytes
+}
+
+// a Buffer where Buffer exists (browsers have none), else a Uint8Array
+function toBuffer (bytes) {
+  return typeof Buffer === 'function' ? Buffer.from(bytes) : new Uint8Array(bytes)
+}
+
+function tooLarge (request) {
+  return createError('EINVALID', 'Response is larger than ' + request.maxBytes + ' bytes')
+}
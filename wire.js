@@ -0,0 +1,211 @@
+// minimal DNS message encoder/decoder for RFC 8484 (application/dns-message) lookups
+// only what TXT lookups need: one question out, TXT/SOA records in
+
+const TYPE_TXT = 16
+const TYPE_SOA = 6
+const TYPE_OPT = 41
+const CLASS_IN = 1
+
+exports.TYPE_TXT = TYPE_TXT
+exports.TYPE_SOA = TYPE_SOA
+exports.encodeQuery = encodeQuery
+exports.decodeMessage = decodeMessage
+exports.toJSON = toJSON
+exports.toBase64Url = toBase64Url
+
+// encode a recursive query for `name`
+// with opts.dnssec, the query asks for DNSSEC records and validation
+function encodeQuery (name, opts) {
+  opts = opts || {}
+  var type = opts.type || TYPE_TXT
+  var qname = encodeName(name)
+  var header = Buffer.alloc(12)
+  header.writeUInt16BE(opts.id || 0, 0) // RFC 8484 recommends id 0 for cache friendliness
+  header.writeUInt16BE(opts.dnssec ? 0x0120 : 0x0100, 2) // RD (and AD to ask for validation, RFC 6840)
+  header.writeUInt16BE(1, 4) // QDCOUNT
+  var question = Buffer.alloc(4)
+  question.writeUInt16BE(type, 0)
+  question.writeUInt16BE(CLASS_IN, 2)
+  if (!opts.dnssec) {
+    return Buffer.concat([header, qname, question])
+  }
+  // EDNS OPT record with the DO bit set (RFC 3225)
+  header.writeUInt16BE(1, 10) // ARCOUNT
+  var opt = Buffer.alloc(11)
+  opt.writeUInt16BE(TYPE_OPT, 1)
+  opt.writeUInt16BE(4096, 3) // UDP payload size
+  opt.writeUInt32BE(0x8000, 5) // extended rcode, version and DO flag
+  return Buffer.concat([header, qname, question, opt])
+}
+
+function encodeName (name) {
+  var labels = name.replace(/\.$/, '').split('.').filter(Boolean)
+  var parts = labels.map(function (label) {
+    var bytes = Buffer.from(label, 'ascii')
+    if (bytes.length > 63) throw new Error('DNS label is too long: ' + label)
+    return Buffer.concat([Buffer.from([bytes.length]), bytes])
+  })
+  parts.push(Buffer.from([0]))
+  var qname = Buffer.concat(parts)
+  if (qname.length > 255) throw new Error('DNS name is too long: ' + name)
+  return qname
+}
+
+// decode a DNS message, throws on malformed input
+function decodeMessage (buf) {
+  if (!Buffer.isBuffer(buf) || buf.length < 12) throw new Error('DNS message is too short')
+  var flags = buf.readUInt16BE(2)
+  var message = {
+    id: buf.readUInt16BE(0),
+    flags: {
+      qr: !!(flags & 0x8000),
+      opcode: (flags >> 11) & 0xf,
+      aa: !!(flags & 0x0400),
+      tc: !!(flags & 0x0200),
+      rd: !!(flags & 0x0100),
+      ra: !!(flags & 0x0080),
+      ad: !!(flags & 0x0020),
+      cd: !!(flags & 0x0010),
+      rcode: flags & 0xf
+    },
+    questions: [],
+    answers: [],
+    authorities: [],
+    additionals: []
+  }
+  var counts = [buf.readUInt16BE(4), buf.readUInt16BE(6), buf.readUInt16BE(8), buf.readUInt16BE(10)]
+  var offset = 12
+
+  for (let i = 0; i < counts[0]; i++) {
+    let name = decodeName(buf, offset)
+    offset = name.offset
+    check(buf, offset + 4)
+    message.questions.push({ name: name.name, type: buf.readUInt16BE(offset), class: buf.readUInt16BE(offset + 2) })
+    offset += 4
+  }
+
+  var sections = [message.answers, message.authorities, message.additionals]
+  sections.forEach(function (section, i) {
+    for (let j = 0; j < counts[i + 1]; j++) {
+      let record = decodeRecord(buf, offset)
+      offset = record.offset
+      section.push(record.record)
+    }
+  })
+  return message
+}
+
+function decodeRecord (buf, offset) {
+  var name = decodeName(buf, offset)
+  offset = name.offset
+  check(buf, offset + 10)
+  var record = {
+    name: name.name,
+    type: buf.readUInt16BE(offset),
+    class: buf.readUInt16BE(offset + 2),
+    ttl: buf.readUInt32BE(offset + 4),
+    data: null
+  }
+  var length = buf.readUInt16BE(offset + 8)
+  offset += 10
+  check(buf, offset + length)
+  if (record.type === TYPE_TXT) {
+    record.data = decodeTxt(buf.slice(offset, offset + length))
+  } else if (record.type === TYPE_SOA) {
+    record.data = decodeSoa(buf, offset)
+  } else {
+    record.data = buf.slice(offset, offset + length)
+  }
+  return { record, offset: offset + length }
+}
+
+// a TXT record is a list of length-prefixed character-strings
+function decodeTxt (rdata) {
+  var strings = []
+  var offset = 0
+  while (offset < rdata.length) {
+    let length = rdata[offset]
+    check(rdata, offset + 1 + length)
+    strings.push(rdata.slice(offset + 1, offset + 1 + length).toString('utf-8'))
+    offset += 1 + length
+  }
+  return strings
+}
+
+function decodeSoa (buf, offset) {
+  var mname = decodeName(buf, offset)
+  var rname = decodeName(buf, mname.offset)
+  offset = rname.offset
+  check(buf, offset + 20)
+  return {
+    mname: mname.name,
+    rname: rname.name,
+    serial: buf.readUInt32BE(offset),
+    refresh: buf.readUInt32BE(offset + 4),
+    retry: buf.readUInt32BE(offset + 8),
+    expire: buf.readUInt32BE(offset + 12),
+    minimum: buf.readUInt32BE(offset + 16)
+  }
+}
+
+// decode a (possibly compressed) name, returns the name and the offset after it
+function decodeName (buf, offset) {
+  var labels = []
+  var end = -1
+  var jumps = 0
+  while (true) {
+    check(buf, offset + 1)
+    let length = buf[offset]
+    if (length === 0) {
+      offset++
+      break
+    }
+    if ((length & 0xc0) === 0xc0) {
+      check(buf, offset + 2)
+      if (++jumps > 64) throw new Error('DNS message has a compression loop')
+      if (end === -1) end = offset + 2
+      offset = buf.readUInt16BE(offset) & 0x3fff
+      continue
+    }
+    check(buf, offset + 1 + length)
+    labels.push(buf.slice(offset + 1, offset + 1 + length).toString('ascii'))
+    offset += 1 + length
+  }
+  return { name: labels.join('.') + '.', offset: end === -1 ? offset : end }
+}
+
+function check (buf, length) {
+  if (buf.length < length) throw new Error('DNS message is truncated')
+}
+
+// convert a decoded message to the JSON dialect of Google/Cloudflare DNS-over-HTTPS
+function toJSON (message) {
+  var toJSONRecord = function (record) {
+    var data = record.data
+    if (record.type === TYPE_TXT) {
+      data = '"' + data.join('') + '"'
+    } else if (record.type === TYPE_SOA) {
+      data = [data.mname, data.rname, data.serial, data.refresh, data.retry, data.expire, data.minimum].join(' ')
+    } else if (Buffer.isBuffer(data)) {
+      data = data.toString('hex')
+    }
+    return { name: record.name, type: record.type, TTL: record.ttl, data }
+  }
+  var json = {
+    Status: message.flags.rcode,
+    TC: message.flags.tc,
+    RD: message.flags.rd,
+    RA: message.flags.ra,
+    AD: message.flags.ad,
+    CD: message.flags.cd,
+    Question: message.questions.map(function (q) { return { name: q.name, type: q.type } })
+  }
+  if (message.answers.length) json.Answer = message.answers.map(toJSONRecord)
+  if (message.authorities.length) json.Authority = message.authorities.map(toJSONRecord)
+  return json
+}
+
+// base64url without padding, as RFC 8484 GET requests want it
+function toBase64Url (buf) {
+  return buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}